@@ -0,0 +1,148 @@
+// Collision benchmark: frame cost of the projectile-vs-enemy pass at growing entity counts,
+// the plain pairwise scan against the spatial hash broadphase, then whole simulation steps.
+// Runs under Node like headless.js (20 needs --experimental-default-type=module):
+//
+//   node --experimental-default-type=module js/benchmark.js [entity counts...]
+//
+// Each count N means N enemies plus N projectiles.
+
+// Constants for benchmark.js
+const DEFAULT_COUNTS = [100, 250, 500, 1000, 2000];
+const PASS_WARMUP_TIME = 50; // ms of untimed passes first, so the JIT has optimised both sides
+const PASS_MIN_TIME = 200; // ms; passes are repeated until at least this long has been timed
+const SIMULATION_WARMUP_STEPS = 30;
+const SIMULATION_STEPS = 120; // one second of game time per count
+const ENEMY_RADIUS_MIN = 12; // pt
+const ENEMY_RADIUS_MAX = 28; // pt
+const PROJECTILE_RADIUS = 3; // pt
+
+import { CollisionSystem, SeededRandom } from './core.js';
+import { ARENA_WIDTH, ARENA_HEIGHT } from './simulation.js';
+import { HeadlessSimulation } from './headless.js';
+
+const counts = process.argv.slice(2).map(Number).filter(count => count > 0);
+
+// Random circles spread over the arena; the same seed gives the same layout every run
+function createCircles(random, count, radius) {
+    const circles = [];
+    for (let i = 0; i < count; i++) {
+        circles.push({
+            x: random.range(0, ARENA_WIDTH),
+            y: random.range(0, ARENA_HEIGHT),
+            radius: typeof radius === 'number' ? radius : random.range(radius.min, radius.max)
+        });
+    }
+    return circles;
+}
+
+// Repeat `pass` for at least `duration` ms; returns how many calls that took and the elapsed time
+function repeat(duration, pass) {
+    let calls = 0;
+    let hits = 0;
+    const start = performance.now();
+    let elapsed = 0;
+    while (elapsed < duration) {
+        hits = pass();
+        calls++;
+        elapsed = performance.now() - start;
+    }
+    return { calls, elapsed, hits };
+}
+
+// Average milliseconds per call of `pass` once warmed up, and the hit count it reported.
+// Small counts take microseconds a pass, so a fixed handful of calls mostly times the JIT.
+function time(pass) {
+    repeat(PASS_WARMUP_TIME, pass);
+    const { calls, elapsed, hits } = repeat(PASS_MIN_TIME, pass);
+    return { ms: elapsed / calls, hits };
+}
+
+function benchmarkCollisionPass(count) {
+    const random = new SeededRandom(count);
+    const enemies = createCircles(random, count, { min: ENEMY_RADIUS_MIN, max: ENEMY_RADIUS_MAX });
+    const projectiles = createCircles(random, count, PROJECTILE_RADIUS);
+    const collisions = new CollisionSystem();
+    
+    const pairwise = time(() => {
+        let hits = 0;
+        projectiles.forEach(projectile => {
+            enemies.forEach(enemy => {
+                if (CollisionSystem.checkCircleCollision(projectile, enemy)) hits++;
+            });
+        });
+        return hits;
+    });
+    
+    // Rebuilding the hash is part of every step, so it is timed too
+    const broadphase = time(() => {
+        let hits = 0;
+        collisions.clear();
+        enemies.forEach(enemy => collisions.insert(enemy));
+        projectiles.forEach(projectile => {
+            hits += collisions.queryCircle(projectile.x, projectile.y, projectile.radius).length;
+        });
+        return hits;
+    });
+    
+    if (pairwise.hits !== broadphase.hits) {
+        throw new Error(`Broadphase found ${broadphase.hits} hits, pairwise ${pairwise.hits}`);
+    }
+    
+    return {
+        entities: count * 2,
+        hits: pairwise.hits,
+        'pairwise ms': pairwise.ms.toFixed(3),
+        'spatial hash ms': broadphase.ms.toFixed(3),
+        speedup: `${(pairwise.ms / broadphase.ms).toFixed(1)}x`
+    };
+}
+
+// Full game steps with `count` enemies on the field and the machine gun firing into them
+function benchmarkSimulation(count) {
+    const headless = new HeadlessSimulation({
+        seed: `benchmark-${count}`,
+        script: (frame) => ({
+            aim: { x: ARENA_WIDTH / 2 + Math.cos(frame / 20) * 300, y: ARENA_HEIGHT / 2 + Math.sin(frame / 20) * 300 },
+            // Alternate the pick so every level-up gets a fresh press
+            actions: frame % 2 === 0 ? ['fire', 'pickUpgrade1'] : ['fire']
+        })
+    });
+    const { simulation } = headless;
+    const random = new SeededRandom(count);
+    simulation.inventory.add('machine_gun');
+    simulation.cycleWeapon(1);
+    
+    for (let i = 0; i < count; i++) {
+        simulation.spawnEnemy(random.pick(['assassin', 'shooter', 'tank']), random.range(0, ARENA_WIDTH), random.range(0, ARENA_HEIGHT));
+    }
+    
+    // Keep the player alive and armed so every step does the same kind of work
+    const step = () => {
+        simulation.player.hp = simulation.player.maxHp;
+        simulation.player.weapon.currentAmmo = simulation.player.weapon.magazineSize;
+        headless.step();
+    };
+    for (let i = 0; i < SIMULATION_WARMUP_STEPS; i++) step();
+    
+    const start = performance.now();
+    for (let i = 0; i < SIMULATION_STEPS; i++) step();
+    const ms = (performance.now() - start) / SIMULATION_STEPS;
+    
+    return {
+        enemies: count,
+        'enemies left': simulation.enemies.length,
+        'ms / step': ms.toFixed(3)
+    };
+}
+
+const runCounts = counts.length > 0 ? counts : DEFAULT_COUNTS;
+
+// Warm the JIT up first so the smallest count is not charged for compilation
+benchmarkCollisionPass(runCounts[0]);
+benchmarkSimulation(runCounts[0]);
+
+console.log(`Collision pass (N enemies + N projectiles, averaged over ${PASS_MIN_TIME} ms of passes)`);
+console.table(runCounts.map(benchmarkCollisionPass));
+
+console.log(`Simulation step (average of ${SIMULATION_STEPS} steps)`);
+console.table(runCounts.map(benchmarkSimulation));
@@ -1,7 +1,125 @@
 // Constants for core.js
 const COLLISION_EPSILON = 0.001;
+const COLLISION_CELL_SIZE = 64; // pt, spatial hash cell edge
+const COLLISION_LINEAR_LIMIT = 40; // entities; up to this many, queries scan them all instead of hashing
+const SEPARATION_ITERATIONS = 2; // overlap passes per physics step
+const KNOCKBACK_DAMPING = 10; // 1/s, exponential decay of knockback velocity
+const KNOCKBACK_REST_SPEED = 1; // pt/s, knockback below this stops
 const INPUT_DEADZONE = 0.1;
 const IMG_DIR = '/assets/images/';
+const GESTURE_STICK_RADIUS = 60; // pt, full deflection distance
+const GESTURE_KNOB_RADIUS = 24; // pt
+const GESTURE_FIRE_THRESHOLD = 0.35; // aim stick deflection that starts firing
+const GESTURE_AIM_DISTANCE = 200; // pt, aim point distance from the player
+const GESTURE_SWIPE_MIN_DISTANCE = 80; // pt
+const GESTURE_SWIPE_MAX_DURATION = 250; // ms
+const GESTURE_TAP_MAX_DURATION = 250; // ms
+const GESTURE_TAP_MAX_MOVEMENT = 15; // pt
+const GAMEPAD_RESPONSE_EXPONENT = 1.6; // >1 gives finer control near the stick centre
+const GAMEPAD_AIM_DISTANCE = 200; // pt, aim point distance from the player
+const GAMEPAD_TRIGGER_THRESHOLD = 0.3;
+const GAMEPAD_RUMBLE_DURATION = 200; // ms
+const BINDINGS_STORAGE_KEY = 'advUI.inputBindings';
+const MAX_BINDINGS_PER_ACTION = 2;
+const INPUT_BUFFER_FRAMES = 4; // frames a press stays available to consumeAction()
+const REPLAY_VERSION = 1;
+
+// Standard gamepad mapping button indices
+const GAMEPAD_BUTTONS = {
+    A: 0,
+    B: 1,
+    X: 2,
+    Y: 3,
+    LEFT_SHOULDER: 4,
+    RIGHT_SHOULDER: 5,
+    LEFT_TRIGGER: 6,
+    RIGHT_TRIGGER: 7,
+    START: 9,
+    DPAD_UP: 12,
+    DPAD_DOWN: 13,
+    DPAD_LEFT: 14,
+    DPAD_RIGHT: 15
+};
+
+// Gamepad buttons held per action (triggers fire via GAMEPAD_TRIGGER_THRESHOLD)
+const GAMEPAD_ACTION_BUTTONS = {
+    up: [GAMEPAD_BUTTONS.DPAD_UP],
+    down: [GAMEPAD_BUTTONS.DPAD_DOWN],
+    left: [GAMEPAD_BUTTONS.DPAD_LEFT],
+    right: [GAMEPAD_BUTTONS.DPAD_RIGHT],
+    switchWeapon: [GAMEPAD_BUTTONS.RIGHT_SHOULDER],
+    previousWeapon: [GAMEPAD_BUTTONS.LEFT_SHOULDER],
+    pickup: [GAMEPAD_BUTTONS.X],
+    reload: [GAMEPAD_BUTTONS.Y],
+    restart: [GAMEPAD_BUTTONS.A, GAMEPAD_BUTTONS.START],
+    pause: [GAMEPAD_BUTTONS.START],
+    menuConfirm: [GAMEPAD_BUTTONS.A, GAMEPAD_BUTTONS.START],
+    menuBack: [GAMEPAD_BUTTONS.B]
+};
+
+// Input actions: one line per action. `contexts` are the input contexts the action
+// is live in, `bindings` its default keyboard/mouse bindings (rebindable)
+const INPUT_ACTIONS = [
+    { action: 'up', label: 'Move Up', contexts: ['gameplay', 'menu'], bindings: ['KeyW', 'ArrowUp'] },
+    { action: 'down', label: 'Move Down', contexts: ['gameplay', 'menu'], bindings: ['KeyS', 'ArrowDown'] },
+    { action: 'left', label: 'Move Left', contexts: ['gameplay', 'menu', 'upgrade'], bindings: ['KeyA', 'ArrowLeft'] },
+    { action: 'right', label: 'Move Right', contexts: ['gameplay', 'menu', 'upgrade'], bindings: ['KeyD', 'ArrowRight'] },
+    { action: 'fire', label: 'Fire', contexts: ['gameplay'], bindings: ['Mouse0'] },
+    { action: 'switchWeapon', label: 'Next Weapon', contexts: ['gameplay'], bindings: ['KeyR', 'WheelDown'] },
+    { action: 'previousWeapon', label: 'Previous Weapon', contexts: ['gameplay'], bindings: ['KeyQ', 'WheelUp'] },
+    { action: 'weaponSlot1', label: 'Weapon Slot 1', contexts: ['gameplay'], bindings: ['Digit1'] },
+    { action: 'weaponSlot2', label: 'Weapon Slot 2', contexts: ['gameplay'], bindings: ['Digit2'] },
+    { action: 'weaponSlot3', label: 'Weapon Slot 3', contexts: ['gameplay'], bindings: ['Digit3'] },
+    { action: 'weaponSlot4', label: 'Weapon Slot 4', contexts: ['gameplay'], bindings: ['Digit4'] },
+    { action: 'reload', label: 'Reload', contexts: ['gameplay'], bindings: ['KeyF'] },
+    { action: 'pickup', label: 'Pick Up', contexts: ['gameplay'], bindings: ['KeyE'] },
+    { action: 'creatorMode', label: 'Creator Mode', contexts: ['gameplay'], bindings: ['KeyG'] },
+    { action: 'pause', label: 'Pause / Resume', contexts: ['gameplay', 'paused'], bindings: ['Escape', 'KeyP'] },
+    { action: 'timeSlower', label: 'Slow Time (Creator)', contexts: ['gameplay'], bindings: ['BracketLeft'] },
+    { action: 'timeFaster', label: 'Speed Up Time (Creator)', contexts: ['gameplay'], bindings: ['BracketRight'] },
+    { action: 'timeFreeze', label: 'Freeze Time (Creator)', contexts: ['gameplay'], bindings: ['KeyT'] },
+    { action: 'timeStep', label: 'Step Frame (Creator)', contexts: ['gameplay'], bindings: ['Period'] },
+    { action: 'restart', label: 'Restart (Game Over)', contexts: ['gameOver'], bindings: ['Enter', 'KeyR'] },
+    { action: 'menuConfirm', label: 'Confirm (Menu)', contexts: ['menu', 'upgrade'], bindings: ['Enter', 'Space'] },
+    { action: 'menuBack', label: 'Back (Menu)', contexts: ['menu'], bindings: ['Escape', 'Backspace'] },
+    { action: 'pickUpgrade1', label: 'Pick Upgrade 1', contexts: ['upgrade'], bindings: ['Digit1'] },
+    { action: 'pickUpgrade2', label: 'Pick Upgrade 2', contexts: ['upgrade'], bindings: ['Digit2'] },
+    { action: 'pickUpgrade3', label: 'Pick Upgrade 3', contexts: ['upgrade'], bindings: ['Digit3'] }
+];
+
+const MOUSE_BUTTON_LABELS = {
+    'Mouse0': 'Left Click',
+    'Mouse1': 'Middle Click',
+    'Mouse2': 'Right Click',
+    'Mouse3': 'Mouse 4',
+    'Mouse4': 'Mouse 5',
+    'WheelUp': 'Wheel Up',
+    'WheelDown': 'Wheel Down'
+};
+
+// Voice command grammar: phrase tokens -> command
+const VOICE_DIRECTIONS = {
+    'left': { x: -1, y: 0 },
+    'right': { x: 1, y: 0 },
+    'up': { x: 0, y: -1 },
+    'down': { x: 0, y: 1 }
+};
+
+const VOICE_GRAMMAR = [
+    { phrase: ['hold', 'fire'], command: { type: 'fire', value: false } },
+    { phrase: ['cease', 'fire'], command: { type: 'fire', value: false } },
+    { phrase: ['fire'], command: { type: 'fire', value: true } },
+    { phrase: ['shoot'], command: { type: 'fire', value: true } },
+    { phrase: ['stop'], command: { type: 'stop' } },
+    { phrase: ['switch', 'weapon'], command: { type: 'switchWeapon' } },
+    { phrase: ['reload'], command: { type: 'reload' } },
+    { phrase: ['pick', 'up'], command: { type: 'pickup' } },
+    { phrase: ['creator', 'mode'], command: { type: 'creatorMode' } },
+    { phrase: ['pause'], command: { type: 'pause' } }
+];
+
+// Speech recognition errors that end listening for good; restarting would fail the same way
+const SPEECH_FATAL_ERRORS = ['not-allowed', 'service-not-allowed'];
 
 // Image loading system
 export class ImageLoader {
@@ -36,9 +154,19 @@ export class ImageLoader {
         return promise;
     }
     
-    loadImages(imageMap) {
-        const promises = Object.entries(imageMap).map(([name, filename]) => 
-            this.loadImage(name, filename).catch(() => null) // Don't fail on individual image errors
+    // onProgress(loaded, total) is called as each image finishes, failed ones included
+    loadImages(imageMap, onProgress = null) {
+        const entries = Object.entries(imageMap);
+        let loaded = 0;
+        
+        const promises = entries.map(([name, filename]) => 
+            this.loadImage(name, filename)
+                .catch(() => null) // Don't fail on individual image errors
+                .then(image => {
+                    loaded++;
+                    onProgress?.(loaded, entries.length);
+                    return image;
+                })
         );
         return Promise.all(promises);
     }
@@ -52,6 +180,208 @@ export class ImageLoader {
     }
 }
 
+// Seedable pseudo-random generator (mulberry32)
+export class SeededRandom {
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+    
+    // Float in [0, 1), drop-in for Math.random()
+    random() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    range(min, max) {
+        return this.random() * (max - min) + min;
+    }
+    
+    int(min, max) {
+        return Math.floor(this.random() * (max - min + 1)) + min;
+    }
+    
+    chance(probability) {
+        return this.random() < probability;
+    }
+    
+    pick(array) {
+        return array[this.int(0, array.length - 1)];
+    }
+}
+
+// Seeded random service with independent named streams, so e.g. cosmetic
+// randomness never shifts the spawn sequence of a seed
+export class RandomService {
+    constructor(seed = RandomService.createSeed()) {
+        this.streams = new Map();
+        this.reseed(seed);
+    }
+    
+    // Fresh seed for a new run (the only place allowed to use Math.random)
+    static createSeed() {
+        return Math.floor(Math.random() * 0xFFFFFFFF).toString(36);
+    }
+    
+    // FNV-1a hash so any string (e.g. "daily-2026-10-19") can be a seed
+    static hashString(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+    
+    reseed(seed) {
+        this.seed = String(seed);
+        this.streams.clear();
+    }
+    
+    getSeed() {
+        return this.seed;
+    }
+    
+    stream(name) {
+        if (!this.streams.has(name)) {
+            this.streams.set(name, new SeededRandom(RandomService.hashString(`${this.seed}/${name}`)));
+        }
+        return this.streams.get(name);
+    }
+}
+
+// Named streams used by gameplay code
+export const RNG_STREAMS = {
+    SPAWNING: 'spawning',
+    AI: 'ai',
+    WEAPON_SPREAD: 'weaponSpread',
+    COSMETICS: 'cosmetics',
+    UPGRADES: 'upgrades',
+    LOOT: 'loot'
+};
+
+// Shared random service; Game reseeds it at the start of every run
+export const RNG = new RandomService();
+
+// Time layers: the world can be slowed or frozen while the UI keeps running
+export const TIME_LAYERS = {
+    WORLD: 'world',
+    UI: 'ui'
+};
+
+// Game clock: single source of game time, with a global time scale,
+// per-layer scales, timed slow-motion effects, pause and frame stepping
+export class GameClock {
+    constructor() {
+        this.layers = new Map();
+        this.addLayer(TIME_LAYERS.WORLD, { pausable: true });
+        this.addLayer(TIME_LAYERS.UI, { pausable: false });
+        this.reset();
+    }
+    
+    addLayer(name, { scale = 1, pausable = true } = {}) {
+        this.layers.set(name, { scale, pausable, time: 0, delta: 0 });
+    }
+    
+    reset() {
+        this.realTime = 0;
+        this.timeScale = 1;
+        this.pauseReasons = new Set(); // Paused while any reason holds, e.g. 'creator', 'upgrade'
+        this.pendingSteps = 0;
+        this.effects = []; // { layer, scale, remaining }
+        this.layers.forEach(layer => {
+            layer.scale = 1;
+            layer.time = 0;
+            layer.delta = 0;
+        });
+    }
+    
+    // Advance by `deltaTime` seconds of real (simulation step) time
+    tick(deltaTime) {
+        this.realTime += deltaTime;
+        
+        // A queued frame step lets pausable layers advance exactly once while paused
+        const paused = this.isPaused();
+        const stepping = paused && this.pendingSteps > 0;
+        if (stepping) this.pendingSteps--;
+        
+        this.layers.forEach((layer, name) => {
+            const frozen = layer.pausable && paused && !stepping;
+            layer.delta = frozen ? 0 : deltaTime * this.getEffectiveScale(name);
+            layer.time += layer.delta;
+        });
+        
+        // Effects run on real time so they end on schedule however slow the world is
+        this.effects.forEach(effect => {
+            effect.remaining -= deltaTime;
+        });
+        this.effects = this.effects.filter(effect => effect.remaining > 0);
+    }
+    
+    getEffectiveScale(name) {
+        const layer = this.layers.get(name);
+        if (!layer) return 0;
+        
+        let scale = this.timeScale * layer.scale;
+        this.effects.forEach(effect => {
+            if (effect.layer === name) scale *= effect.scale;
+        });
+        return scale;
+    }
+    
+    // Seconds of game time on `layer` since the clock was reset
+    now(layer = TIME_LAYERS.WORLD) {
+        return this.layers.get(layer)?.time ?? 0;
+    }
+    
+    // Scaled delta of the last tick on `layer`
+    getDelta(layer = TIME_LAYERS.WORLD) {
+        return this.layers.get(layer)?.delta ?? 0;
+    }
+    
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0, scale);
+    }
+    
+    setLayerScale(layer, scale) {
+        const entry = this.layers.get(layer);
+        if (entry) entry.scale = Math.max(0, scale);
+    }
+    
+    getLayerScale(layer) {
+        return this.layers.get(layer)?.scale ?? 1;
+    }
+    
+    // Temporary slow motion (or speed-up) of one layer, e.g. bullet-time on kill
+    slowMotion(scale, duration, layer = TIME_LAYERS.WORLD) {
+        this.effects.push({ layer, scale, remaining: duration });
+    }
+    
+    pause(reason = 'default') {
+        this.pauseReasons.add(reason);
+    }
+    
+    resume(reason = 'default') {
+        this.pauseReasons.delete(reason);
+        if (!this.isPaused()) {
+            this.pendingSteps = 0;
+        }
+    }
+    
+    isPaused(reason = null) {
+        return reason ? this.pauseReasons.has(reason) : this.pauseReasons.size > 0;
+    }
+    
+    // While paused, advance pausable layers by a single tick
+    step(count = 1) {
+        if (this.isPaused()) {
+            this.pendingSteps += count;
+        }
+    }
+}
+
 // Utility functions
 export const Utils = {
     clamp(value, min, max) {
@@ -74,12 +404,26 @@ export const Utils = {
         return { x: x / length, y: y / length };
     },
     
-    randomRange(min, max) {
-        return Math.random() * (max - min) + min;
+    // Pass an RNG stream for gameplay randomness; the cosmetics stream is the default
+    randomRange(min, max, stream = RNG.stream(RNG_STREAMS.COSMETICS)) {
+        return stream.range(min, max);
+    },
+    
+    randomInt(min, max, stream = RNG.stream(RNG_STREAMS.COSMETICS)) {
+        return stream.int(min, max);
     },
     
-    randomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+    // Convert client (CSS pixel) coordinates to canvas coordinates,
+    // compensating for the CSS scaling applied by resizeCanvas
+    clientToCanvas(canvas, clientX, clientY) {
+        const rect = canvas.getBoundingClientRect();
+        const scaleX = canvas.width / rect.width;
+        const scaleY = canvas.height / rect.height;
+        
+        return {
+            x: (clientX - rect.left) * scaleX,
+            y: (clientY - rect.top) * scaleY
+        };
     }
 };
 
@@ -115,27 +459,103 @@ export class EventBus {
     }
 }
 
-// Circle-vs-circle collision detection
+// Collision layers: every entity sits on one layer (a bit) and reacts to the layers in its mask
+export const COLLISION_LAYERS = {
+    player: 1 << 0,
+    enemy: 1 << 1,
+    playerProjectile: 1 << 2,
+    enemyProjectile: 1 << 3,
+    pickup: 1 << 4,
+    wall: 1 << 5,
+    hazard: 1 << 6
+};
+
+// Interaction matrix: layer -> layers it collides with. Keep it symmetric; what happens on
+// contact is a per-pair callback (CollisionSystem.onCollision), and bodies with mass on
+// colliding layers also push each other apart (PhysicsSystem). Friendly fire, say, is
+// 'player' under playerProjectile (and vice versa) plus a callback for the pair.
+export const COLLISION_MATRIX = {
+    player: ['enemy', 'enemyProjectile', 'pickup', 'wall', 'hazard'],
+    enemy: ['player', 'enemy', 'playerProjectile', 'wall', 'hazard'],
+    playerProjectile: ['enemy', 'wall'],
+    enemyProjectile: ['player', 'wall'],
+    pickup: ['player'],
+    wall: ['player', 'enemy', 'playerProjectile', 'enemyProjectile'],
+    hazard: ['player', 'enemy']
+};
+
+// Layer name -> mask bits, from the matrix
+export const COLLISION_MASKS = Object.fromEntries(Object.entries(COLLISION_MATRIX).map(([layer, others]) => [
+    layer,
+    others.reduce((mask, other) => mask | COLLISION_LAYERS[other], 0)
+]));
+
+// Collision detection. The static methods are the circle-vs-circle narrowphase; an
+// instance is the broadphase, a spatial hash that entities are inserted into every step
+// (while there are only a few, building cells costs more than it saves, so they are scanned):
+//
+//   collisions.clear();
+//   enemies.forEach(enemy => collisions.insert(enemy));
+//   collisions.queryCircle(x, y, radius).forEach(enemy => ...);
 export class CollisionSystem {
+    constructor(cellSize = COLLISION_CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // cell key -> entities overlapping that cell
+        this.order = new Map(); // entity -> insertion index, so queries come back in insertion order
+        this.entities = []; // in insertion order
+        this.hashed = false; // Cells are built once more than COLLISION_LINEAR_LIMIT entities are in
+        this.extent = null; // { minX, minY, maxX, maxY } in cells, bounds nearest() searches
+        this.handlers = new Map(); // 'layerA:layerB' -> callback(a, b, time)
+    }
+    
+    static getLayerName(layer) {
+        return Object.keys(COLLISION_LAYERS).find(name => COLLISION_LAYERS[name] === layer) || null;
+    }
+    
+    // Whether `a` reacts to `b` (entities with layer and mask bits, see Entity.setCollisionLayer)
+    static canCollide(a, b) {
+        return (a.mask & b.layer) !== 0;
+    }
+    
+    // Callback for a pair of layers; it always gets the entities in the order given here
+    onCollision(layerA, layerB, callback) {
+        this.handlers.set(`${COLLISION_LAYERS[layerA]}:${COLLISION_LAYERS[layerB]}`, callback);
+        if (layerA !== layerB) {
+            this.handlers.set(`${COLLISION_LAYERS[layerB]}:${COLLISION_LAYERS[layerA]}`, (b, a, time) => callback(a, b, time));
+        }
+    }
+    
+    // Run the pair's callback if the masks allow the contact; `time` is from a sweep (0 otherwise)
+    resolve(a, b, time = 0) {
+        if (!CollisionSystem.canCollide(a, b)) return false;
+        
+        const callback = this.handlers.get(`${a.layer}:${b.layer}`);
+        if (!callback) return false;
+        callback(a, b, time);
+        return true;
+    }
+    
     static checkCircleCollision(obj1, obj2) {
         const dx = obj2.x - obj1.x;
         const dy = obj2.y - obj1.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        const minDistance = obj1.radius + obj2.radius;
+        const reach = obj1.radius + obj2.radius + COLLISION_EPSILON;
         
-        return distance < minDistance + COLLISION_EPSILON;
+        return dx * dx + dy * dy < reach * reach;
     }
     
     static getCollisionInfo(obj1, obj2) {
         const dx = obj2.x - obj1.x;
         const dy = obj2.y - obj1.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
         const minDistance = obj1.radius + obj2.radius;
+        const reach = minDistance + COLLISION_EPSILON;
+        const distanceSquared = dx * dx + dy * dy;
         
-        if (distance >= minDistance + COLLISION_EPSILON) {
+        if (distanceSquared >= reach * reach) {
             return null;
         }
         
+        // Only pairs that touch pay for the square root
+        const distance = Math.sqrt(distanceSquared);
         const overlap = minDistance - distance;
         const normalX = distance > 0 ? dx / distance : 1;
         const normalY = distance > 0 ? dy / distance : 0;
@@ -147,151 +567,725 @@ export class CollisionSystem {
             distance
         };
     }
+    
+    // Time (0..1) at which a circle of `radius` moving from (fromX, fromY) to (toX, toY) first
+    // touches `target`, or null if it never does. The target counts as standing still.
+    static sweepCircleCollision(fromX, fromY, toX, toY, radius, target) {
+        const reach = radius + target.radius + COLLISION_EPSILON;
+        const offsetX = fromX - target.x;
+        const offsetY = fromY - target.y;
+        const pathX = toX - fromX;
+        const pathY = toY - fromY;
+        
+        // |offset + t * path| = reach as a * t^2 + b * t + c = 0; the smaller root is first contact
+        const c = offsetX * offsetX + offsetY * offsetY - reach * reach;
+        if (c < 0) return 0; // Touching from the start
+        const a = pathX * pathX + pathY * pathY;
+        if (a === 0) return null;
+        const b = 2 * (offsetX * pathX + offsetY * pathY);
+        const discriminant = b * b - 4 * a * c;
+        if (discriminant < 0) return null;
+        
+        const time = (-b - Math.sqrt(discriminant)) / (2 * a);
+        return time >= 0 && time <= 1 ? time : null;
+    }
+    
+    clear() {
+        this.cells.clear();
+        this.order.clear();
+        this.entities.length = 0;
+        this.hashed = false;
+        this.extent = null;
+    }
+    
+    // Add an entity (anything with x, y, radius)
+    insert(entity) {
+        this.order.set(entity, this.entities.length);
+        this.entities.push(entity);
+        if (this.hashed) {
+            this.addToCells(entity);
+        } else if (this.entities.length > COLLISION_LINEAR_LIMIT) {
+            this.hashed = true;
+            this.entities.forEach(inserted => this.addToCells(inserted));
+        }
+    }
+    
+    // Add an entity to every cell its bounding box covers
+    addToCells(entity) {
+        const minX = this.toCell(entity.x - entity.radius);
+        const minY = this.toCell(entity.y - entity.radius);
+        const maxX = this.toCell(entity.x + entity.radius);
+        const maxY = this.toCell(entity.y + entity.radius);
+        
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cy = minY; cy <= maxY; cy++) {
+                const key = this.cellKey(cx, cy);
+                const cell = this.cells.get(key);
+                if (cell) {
+                    cell.push(entity);
+                } else {
+                    this.cells.set(key, [entity]);
+                }
+            }
+        }
+        
+        if (!this.extent) {
+            this.extent = { minX, minY, maxX, maxY };
+        } else {
+            this.extent.minX = Math.min(this.extent.minX, minX);
+            this.extent.minY = Math.min(this.extent.minY, minY);
+            this.extent.maxX = Math.max(this.extent.maxX, maxX);
+            this.extent.maxY = Math.max(this.extent.maxY, maxY);
+        }
+    }
+    
+    // Entities whose cells overlap the rectangle (a superset of what touches it)
+    queryRect(x, y, width, height) {
+        // Few entities: test each bounding box (with the narrowphase's tolerance) instead
+        if (!this.hashed) {
+            return this.entities.filter(entity => (
+                entity.x + entity.radius + COLLISION_EPSILON >= x &&
+                entity.x - entity.radius - COLLISION_EPSILON <= x + width &&
+                entity.y + entity.radius + COLLISION_EPSILON >= y &&
+                entity.y - entity.radius - COLLISION_EPSILON <= y + height
+            ));
+        }
+        
+        const minX = this.toCell(x);
+        const minY = this.toCell(y);
+        const maxX = this.toCell(x + width);
+        const maxY = this.toCell(y + height);
+        
+        // One cell: already in insertion order, nothing to merge
+        if (minX === maxX && minY === maxY) {
+            return [...(this.cells.get(this.cellKey(minX, minY)) || [])];
+        }
+        
+        const found = new Set();
+        
+        // Huge rectangles (a railgun beam) walk the occupied cells instead of every covered one
+        if ((maxX - minX + 1) * (maxY - minY + 1) > this.cells.size) {
+            this.cells.forEach((cell, key) => {
+                const cx = key >> 16;
+                const cy = (key << 16) >> 16;
+                if (cx >= minX && cx <= maxX && cy >= minY && cy <= maxY) {
+                    cell.forEach(entity => found.add(entity));
+                }
+            });
+        } else {
+            for (let cx = minX; cx <= maxX; cx++) {
+                for (let cy = minY; cy <= maxY; cy++) {
+                    this.cells.get(this.cellKey(cx, cy))?.forEach(entity => found.add(entity));
+                }
+            }
+        }
+        
+        return this.sortByOrder(found);
+    }
+    
+    // Entities whose circles overlap the circle at (x, y)
+    queryCircle(x, y, radius) {
+        const probe = { x, y, radius };
+        const candidates = this.hashed ? this.queryRect(x - radius, y - radius, radius * 2, radius * 2) : this.entities;
+        return candidates.filter(entity => CollisionSystem.checkCircleCollision(probe, entity));
+    }
+    
+    // Entities a circle moving from (fromX, fromY) to (toX, toY) touches, as
+    // [{ entity, time }] ordered by time of first contact (ties in insertion order)
+    querySweep(fromX, fromY, toX, toY, radius) {
+        const left = Math.min(fromX, toX) - radius;
+        const top = Math.min(fromY, toY) - radius;
+        const hits = [];
+        
+        this.queryRect(left, top, Math.abs(toX - fromX) + radius * 2, Math.abs(toY - fromY) + radius * 2).forEach(entity => {
+            const time = CollisionSystem.sweepCircleCollision(fromX, fromY, toX, toY, radius, entity);
+            if (time !== null) hits.push({ entity, time });
+        });
+        
+        return hits.sort((a, b) => a.time - b.time);
+    }
+    
+    // Closest entity centre to (x, y) within maxDistance that passes `filter`, or null.
+    // Searches rings of cells outwards until no unsearched cell can hold anything closer.
+    nearest(x, y, maxDistance = Infinity, filter = null) {
+        let best = null;
+        let bestDistanceSquared = maxDistance * maxDistance;
+        
+        const consider = (entity) => {
+            const dx = entity.x - x;
+            const dy = entity.y - y;
+            const distanceSquared = dx * dx + dy * dy;
+            // Ties go to the earlier insert, as a linear scan would
+            const closer = distanceSquared < bestDistanceSquared ||
+                (distanceSquared === bestDistanceSquared && best && this.order.get(entity) < this.order.get(best));
+            if (closer && (!filter || filter(entity))) {
+                best = entity;
+                bestDistanceSquared = distanceSquared;
+            }
+        };
+        
+        if (!this.hashed) {
+            this.entities.forEach(consider);
+            return best;
+        }
+        
+        const originX = this.toCell(x);
+        const originY = this.toCell(y);
+        const lastRing = Math.max(
+            Math.abs(originX - this.extent.minX), Math.abs(originX - this.extent.maxX),
+            Math.abs(originY - this.extent.minY), Math.abs(originY - this.extent.maxY)
+        );
+        const visit = (cx, cy) => this.cells.get(this.cellKey(cx, cy))?.forEach(consider);
+        
+        for (let ring = 0; ring <= lastRing; ring++) {
+            // Centres in this ring or beyond are at least ring - 1 cells away
+            const ringDistance = (ring - 1) * this.cellSize;
+            if (ring > 1 && ringDistance * ringDistance > bestDistanceSquared) break;
+            
+            for (let cx = originX - ring; cx <= originX + ring; cx++) {
+                visit(cx, originY - ring);
+                if (ring > 0) visit(cx, originY + ring);
+            }
+            for (let cy = originY - ring + 1; cy <= originY + ring - 1; cy++) {
+                visit(originX - ring, cy);
+                visit(originX + ring, cy);
+            }
+        }
+        
+        return best;
+    }
+    
+    toCell(coordinate) {
+        return Math.floor(coordinate / this.cellSize);
+    }
+    
+    // Both cell coordinates packed into one number (16 signed bits each, far beyond any arena)
+    cellKey(cx, cy) {
+        return (cx << 16) | (cy & 0xFFFF);
+    }
+    
+    sortByOrder(entities) {
+        return Array.from(entities).sort((a, b) => this.order.get(a) - this.order.get(b));
+    }
+}
+
+// Lightweight physics for circle bodies: knockback impulses carried as a decaying velocity,
+// overlapping bodies pushed apart in inverse proportion to their mass, and arena bounds.
+// Bodies are entities with mass (Infinity = immovable), knockbackX/Y, collision layers and
+// keepInBounds(bounds); pairs only push each other when both masks allow it. Runs after the
+// collision pass and reuses its broadphase, which must hold every body.
+export class PhysicsSystem {
+    constructor(collisions) {
+        this.collisions = collisions;
+    }
+    
+    step(bodies, deltaTime, bounds) {
+        const damping = Math.exp(-KNOCKBACK_DAMPING * deltaTime);
+        bodies.forEach(body => {
+            if (body.knockbackX === 0 && body.knockbackY === 0) return;
+            body.x += body.knockbackX * deltaTime;
+            body.y += body.knockbackY * deltaTime;
+            body.knockbackX *= damping;
+            body.knockbackY *= damping;
+            if (Math.hypot(body.knockbackX, body.knockbackY) < KNOCKBACK_REST_SPEED) {
+                body.knockbackX = 0;
+                body.knockbackY = 0;
+            }
+        });
+        
+        for (let i = 0; i < SEPARATION_ITERATIONS; i++) {
+            this.separate(bodies);
+        }
+        
+        // Bodies still walking in from a spawn point, and corpses, are left where they are
+        bodies.forEach(body => {
+            if (!body.isDying) body.keepInBounds(bounds);
+        });
+    }
+    
+    // One pass over every touching pair, each pair once and in body order. Bodies have moved
+    // a little since they were hashed, which only delays a far-travelled pair by a step.
+    separate(bodies) {
+        const indices = new Map(bodies.map((body, index) => [body, index]));
+        
+        bodies.forEach((a, index) => {
+            if (a.isDying) return; // Corpses no longer push
+            
+            this.collisions.queryCircle(a.x, a.y, a.radius).forEach(b => {
+                if (!(indices.get(b) > index) || b.isDying) return;
+                if (!CollisionSystem.canCollide(a, b) || !CollisionSystem.canCollide(b, a)) return;
+                
+                const info = CollisionSystem.getCollisionInfo(a, b);
+                const inverseA = 1 / a.mass;
+                const inverseB = 1 / b.mass;
+                if (!info || info.overlap <= 0 || inverseA + inverseB === 0) return;
+                
+                // Push along the normal (a -> b), the lighter body moving further
+                const shareA = info.overlap * inverseA / (inverseA + inverseB);
+                const shareB = info.overlap - shareA;
+                a.x -= info.normalX * shareA;
+                a.y -= info.normalY * shareA;
+                b.x += info.normalX * shareB;
+                b.y += info.normalY * shareB;
+            });
+        });
+    }
 }
 
 // Input Manager with pluggable providers
+// Several providers can be active at once; their outputs are merged every update
 export class InputManager {
     constructor() {
         this.providers = new Map();
-        this.activeProvider = null;
+        this.activeProviders = new Set();
         this.fallbackProvider = null;
         
+        // Most recently used provider (drives HUD button prompts via 'deviceChanged')
+        this.lastUsedProvider = null;
+        this.eventBus = new EventBus();
+        
         // Input state
         this.moveVector = { x: 0, y: 0 };
-        this.fire = false;
-        this.pickup = false; // Placeholder for Step 1
-        this.switchWeapon = false;
-        this.lastWeaponSwitchTime = 0;
-        this.weaponSwitchCooldown = 0.2; // 200ms cooldown between switches
-        this.creatorMode = false;
-        this.lastCreatorModeToggleTime = 0;
-        this.creatorModeToggleCooldown = 0.2; // 200ms cooldown between toggles
+        
+        // Actions: definitions, per-frame states and the current input context
+        this.actions = new Map();
+        this.actionStates = new Map();
+        this.pulses = new Set();
+        this.context = 'gameplay';
+        INPUT_ACTIONS.forEach(({ action, contexts }) => this.registerAction(action, { contexts }));
         
         // Mouse state
         this.mouseX = 0;
         this.mouseY = 0;
+        
+        // Point that stick-style providers aim around (the player)
+        this.aimOrigin = { x: 0, y: 0 };
+    }
+    
+    // Per-provider output that gets merged into the public input state
+    static createProviderState() {
+        return {
+            moveVector: { x: 0, y: 0 },
+            actions: new Set(), // Held actions
+            aim: null, // { x, y } in canvas coordinates, or null if the provider never aimed
+            aimTime: 0,
+            lastActivity: 0
+        };
     }
     
     registerProvider(name, provider, isFallback = false) {
         this.providers.set(name, provider);
         provider.inputManager = this;
+        provider.state = InputManager.createProviderState();
         
         if (isFallback) {
             this.fallbackProvider = provider;
         }
         
-        if (!this.activeProvider) {
-            this.setActiveProvider(name);
+        if (this.activeProviders.size === 0) {
+            this.enableProvider(name);
         }
     }
     
-    setActiveProvider(name) {
+    enableProvider(name) {
         const provider = this.providers.get(name);
-        if (provider) {
-            if (this.activeProvider) {
-                this.activeProvider.deactivate?.();
-            }
-            this.activeProvider = provider;
-            this.activeProvider.activate?.();
+        if (!provider || this.activeProviders.has(provider)) return;
+        
+        provider.state = InputManager.createProviderState();
+        this.activeProviders.add(provider);
+        provider.activate?.();
+    }
+    
+    disableProvider(name) {
+        const provider = this.providers.get(name);
+        if (!provider || !this.activeProviders.has(provider)) return;
+        
+        this.activeProviders.delete(provider);
+        try {
+            provider.deactivate?.();
+        } catch (error) {
+            console.warn('Input provider failed to deactivate:', error);
+        }
+        provider.state = InputManager.createProviderState();
+        
+        if (this.lastUsedProvider === provider) {
+            this.lastUsedProvider = null;
         }
     }
     
+    isProviderActive(name) {
+        const provider = this.providers.get(name);
+        return !!provider && this.activeProviders.has(provider);
+    }
+    
+    // Make `name` the only active provider
+    setActiveProvider(name) {
+        if (!this.providers.has(name)) return;
+        
+        this.providers.forEach((provider, providerName) => {
+            if (providerName !== name) this.disableProvider(providerName);
+        });
+        this.enableProvider(name);
+    }
+    
     update(deltaTime) {
-        if (this.activeProvider) {
+        // A failing provider is disabled on its own; the others keep working
+        [...this.activeProviders].forEach(provider => {
             try {
-                this.activeProvider.update(deltaTime);
+                provider.update(deltaTime);
             } catch (error) {
-                console.warn('Input provider failed, falling back:', error);
-                this.fallbackToDefault();
+                console.warn(`Input provider '${provider.name}' failed, disabling it:`, error);
+                this.disableProvider(provider.name);
             }
+        });
+        
+        if (this.activeProviders.size === 0) {
+            this.fallbackToDefault();
         }
+        
+        this.mergeProviderStates();
     }
     
-    clearWeaponSwitch() {
-        console.log('🧹 InputManager.clearWeaponSwitch() called, was:', this.switchWeapon);
-        this.switchWeapon = false;
-        this.lastWeaponSwitchTime = Date.now() / 1000;
-        console.log('🧹 Weapon switch cleared, lastSwitchTime updated to:', this.lastWeaponSwitchTime);
+    // Largest-magnitude move vector wins, held actions are OR-ed, aim comes from the most recently aimed device
+    mergeProviderStates() {
+        let bestMagnitude = 0;
+        let moveVector = { x: 0, y: 0 };
+        let aimState = null;
+        const held = new Set(this.pulses);
+        this.pulses.clear();
+        
+        this.activeProviders.forEach(provider => {
+            const state = provider.state;
+            
+            const magnitude = state.moveVector.x * state.moveVector.x + state.moveVector.y * state.moveVector.y;
+            if (magnitude > bestMagnitude) {
+                bestMagnitude = magnitude;
+                moveVector = state.moveVector;
+            }
+            
+            state.actions.forEach(action => held.add(action));
+            
+            if (state.aim && (!aimState || state.aimTime > aimState.aimTime)) {
+                aimState = state;
+            }
+        });
+        
+        this.moveVector.x = moveVector.x;
+        this.moveVector.y = moveVector.y;
+        if (aimState) {
+            this.mouseX = aimState.aim.x;
+            this.mouseY = aimState.aim.y;
+        }
+        
+        this.updateActionStates(held);
     }
-
-    clearCreatorModeToggle() {
-        this.creatorMode = false;
-        this.lastCreatorModeToggleTime = Date.now() / 1000;
+    
+    // Edge detection: pressed/released are true for exactly one update
+    updateActionStates(held) {
+        this.actionStates.forEach((state, action) => {
+            const isHeld = held.has(action);
+            state.pressed = isHeld && !state.held;
+            state.released = !isHeld && state.held;
+            state.held = isHeld;
+            
+            if (state.pressed) {
+                state.bufferFrames = this.actions.get(action).bufferFrames;
+            } else if (state.bufferFrames > 0) {
+                state.bufferFrames--;
+            }
+        });
     }
     
-    canSwitchWeapon() {
-        const now = Date.now() / 1000;
-        return (now - this.lastWeaponSwitchTime) >= this.weaponSwitchCooldown;
+    // Register an action, e.g. registerAction('dash', { contexts: ['gameplay'] })
+    registerAction(name, options = {}) {
+        this.actions.set(name, {
+            contexts: options.contexts ?? ['gameplay'],
+            bufferFrames: options.bufferFrames ?? INPUT_BUFFER_FRAMES
+        });
+        this.actionStates.set(name, { held: false, pressed: false, released: false, bufferFrames: 0 });
     }
-
-    canToggleCreatorMode() {
-        const now = Date.now() / 1000;
-        return (now - this.lastCreatorModeToggleTime) >= this.creatorModeToggleCooldown;
+    
+    getHeldActions() {
+        const held = new Set();
+        this.actionStates.forEach((state, action) => {
+            if (state.held) held.add(action);
+        });
+        return held;
     }
     
-    fallbackToDefault() {
-        if (this.fallbackProvider && this.activeProvider !== this.fallbackProvider) {
-            this.setActiveProvider(this.fallbackProvider.name);
-        }
+    // Start from a known action state (used at the start of recorded/replayed runs)
+    restoreHeldActions(held) {
+        this.actionStates.forEach((state, action) => {
+            state.held = held.has(action);
+            state.pressed = false;
+            state.released = false;
+            state.bufferFrames = 0;
+        });
     }
     
-    // Public API for game logic
-    getMoveVector() {
-        return { ...this.moveVector };
+    // Copy of every action's state, e.g. to carry on after a pause exactly as a replay will
+    captureActionStates() {
+        const states = new Map();
+        this.actionStates.forEach((state, action) => states.set(action, { ...state }));
+        return states;
     }
     
-    isFiring() {
-        return this.fire;
+    restoreActionStates(states) {
+        states.forEach((state, action) => {
+            if (this.actionStates.has(action)) {
+                Object.assign(this.actionStates.get(action), state);
+            }
+        });
     }
     
-    isPickingUp() {
-        return this.pickup; // No-op placeholder for Step 1
+    setContext(context) {
+        if (this.context === context) return;
+        this.context = context;
+        
+        // Presses made in the old context must not leak into the new one
+        this.actionStates.forEach(state => {
+            state.bufferFrames = 0;
+        });
     }
     
-    getWeaponSwitch() {
-        console.log('📊 InputManager.getWeaponSwitch() called, returning:', this.switchWeapon);
-        return this.switchWeapon;
+    getContext() {
+        return this.context;
     }
-
-    getCreatorModeToggle() {
-        return this.creatorMode;
+    
+    isActionInContext(action) {
+        const definition = this.actions.get(action);
+        return !!definition && definition.contexts.includes(this.context);
     }
     
-    getMousePosition() {
-        return { x: this.mouseX, y: this.mouseY };
+    // Momentary inputs (swipes, taps, voice commands) hold an action for a single update
+    pulseAction(action) {
+        this.pulses.add(action);
     }
-}
-
-// Keyboard/Mouse Provider (implemented)
-export class KeyboardMouseProvider {
-    constructor(canvas) {
-        this.name = 'keyboard-mouse';
-        this.canvas = canvas;
-        this.inputManager = null;
-        
-        this.keys = new Set();
-        this.mouseButtons = new Set();
-        
-        // Key mappings
-        this.keyMap = {
-            'KeyW': 'up',
-            'KeyS': 'down',
-            'KeyA': 'left',
-            'KeyD': 'right',
-            'ArrowUp': 'up',
-            'ArrowDown': 'down',
-            'ArrowLeft': 'left',
-            'ArrowRight': 'right',
-            'KeyR': 'switchWeapon',
-            'KeyG': 'creatorMode'
-        };
-        
-        this.boundHandlers = {
+    
+    isActionHeld(action) {
+        return this.isActionInContext(action) && this.actionStates.get(action).held;
+    }
+    
+    isActionPressed(action) {
+        return this.isActionInContext(action) && this.actionStates.get(action).pressed;
+    }
+    
+    isActionReleased(action) {
+        return this.isActionInContext(action) && this.actionStates.get(action).released;
+    }
+    
+    // True once per press, even if the press happened a few frames ago (input buffering)
+    consumeAction(action) {
+        if (!this.isActionInContext(action)) return false;
+        
+        const state = this.actionStates.get(action);
+        if (state.bufferFrames > 0) {
+            state.bufferFrames = 0;
+            return true;
+        }
+        return false;
+    }
+    
+    // Providers call this whenever their device is used
+    reportActivity(provider) {
+        provider.state.lastActivity = Date.now();
+        
+        if (this.lastUsedProvider !== provider) {
+            this.lastUsedProvider = provider;
+            this.eventBus.emit('deviceChanged', { name: provider.name });
+        }
+    }
+    
+    // Providers call this when their device moves the aim point
+    reportAim(provider, x, y) {
+        provider.state.aim = { x, y };
+        provider.state.aimTime = Date.now();
+        this.reportActivity(provider);
+    }
+    
+    getLastUsedDevice() {
+        return this.lastUsedProvider ? this.lastUsedProvider.name : null;
+    }
+    
+    render(ctx) {
+        // Let active providers draw their own overlays (e.g. virtual sticks)
+        this.activeProviders.forEach(provider => provider.render?.(ctx));
+    }
+    
+    rumble(duration, strongMagnitude, weakMagnitude) {
+        this.activeProviders.forEach(provider => provider.rumble?.(duration, strongMagnitude, weakMagnitude));
+    }
+    
+    setAimOrigin(x, y) {
+        this.aimOrigin.x = x;
+        this.aimOrigin.y = y;
+    }
+    
+    fallbackToDefault() {
+        if (this.fallbackProvider) {
+            this.enableProvider(this.fallbackProvider.name);
+        }
+    }
+    
+    // Public API for game logic
+    getMoveVector() {
+        return { ...this.moveVector };
+    }
+    
+    isFiring() {
+        return this.isActionHeld('fire');
+    }
+    
+    isPickingUp() {
+        return this.isActionHeld('pickup');
+    }
+    
+    getMousePosition() {
+        return { x: this.mouseX, y: this.mouseY };
+    }
+    
+    getAimOrigin() {
+        return { ...this.aimOrigin };
+    }
+}
+
+// Action bindings for keyboard/mouse, persisted to localStorage
+// Bindings are KeyboardEvent.code strings ('KeyW'), mouse buttons ('Mouse0') or wheel notches ('WheelUp')
+export class InputBindings {
+    constructor(storageKey = BINDINGS_STORAGE_KEY) {
+        this.storageKey = storageKey;
+        this.maxBindingsPerAction = MAX_BINDINGS_PER_ACTION;
+        this.bindings = new Map();
+        this.resetToDefaults(false);
+        this.load();
+    }
+    
+    static describe(binding) {
+        if (binding.startsWith('Mouse') || binding.startsWith('Wheel')) {
+            return MOUSE_BUTTON_LABELS[binding] || binding;
+        }
+        if (binding.startsWith('Key')) return binding.slice(3);
+        if (binding.startsWith('Digit')) return binding.slice(5);
+        return binding;
+    }
+    
+    getActions() {
+        return INPUT_ACTIONS.map(({ action, label }) => ({ action, label }));
+    }
+    
+    getLabel(action) {
+        return INPUT_ACTIONS.find(entry => entry.action === action)?.label || action;
+    }
+    
+    getBindings(action) {
+        return [...(this.bindings.get(action) || [])];
+    }
+    
+    getContexts(action) {
+        return INPUT_ACTIONS.find(entry => entry.action === action)?.contexts || [];
+    }
+    
+    // All actions using `binding`, across every context
+    getActionsForBinding(binding) {
+        const actions = [];
+        this.bindings.forEach((bindings, action) => {
+            if (bindings.includes(binding)) actions.push(action);
+        });
+        return actions;
+    }
+    
+    // Actions other than `action` that already use `binding` in a context they share
+    findConflicts(binding, action = null) {
+        const contexts = action ? this.getContexts(action) : null;
+        const conflicts = [];
+        this.bindings.forEach((bindings, otherAction) => {
+            if (otherAction === action || !bindings.includes(binding)) return;
+            if (contexts && !this.getContexts(otherAction).some(context => contexts.includes(context))) return;
+            conflicts.push(otherAction);
+        });
+        return conflicts;
+    }
+    
+    // Put `binding` into `slot` of `action`, taking it away from any conflicting action
+    setBinding(action, slot, binding) {
+        if (!this.bindings.has(action)) return;
+        
+        this.findConflicts(binding, action).forEach(other => this.removeBinding(other, binding));
+        
+        const bindings = this.bindings.get(action).filter(existing => existing !== binding);
+        if (slot < bindings.length) {
+            bindings[slot] = binding;
+        } else {
+            bindings.push(binding);
+        }
+        this.bindings.set(action, bindings.slice(0, MAX_BINDINGS_PER_ACTION));
+        this.save();
+    }
+    
+    removeBinding(action, binding) {
+        if (!this.bindings.has(action)) return;
+        this.bindings.set(action, this.bindings.get(action).filter(existing => existing !== binding));
+        this.save();
+    }
+    
+    clearSlot(action, slot) {
+        const binding = this.getBindings(action)[slot];
+        if (binding) this.removeBinding(action, binding);
+    }
+    
+    resetToDefaults(persist = true) {
+        this.bindings.clear();
+        INPUT_ACTIONS.forEach(({ action, bindings }) => {
+            this.bindings.set(action, [...bindings]);
+        });
+        if (persist) this.save();
+    }
+    
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (!stored) return;
+            
+            // Only accept known actions so stale saves cannot break input
+            Object.entries(stored).forEach(([action, bindings]) => {
+                if (this.bindings.has(action) && Array.isArray(bindings)) {
+                    this.bindings.set(action, bindings.filter(b => typeof b === 'string').slice(0, MAX_BINDINGS_PER_ACTION));
+                }
+            });
+        } catch (error) {
+            console.warn('Failed to load input bindings, using defaults:', error);
+        }
+    }
+    
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(Object.fromEntries(this.bindings)));
+        } catch (error) {
+            console.warn('Failed to save input bindings:', error);
+        }
+    }
+}
+
+// Keyboard/Mouse Provider (implemented)
+export class KeyboardMouseProvider {
+    constructor(canvas, bindings = new InputBindings()) {
+        this.name = 'keyboard-mouse';
+        this.canvas = canvas;
+        this.inputManager = null;
+        
+        // Held actions (movement, fire)
+        this.keys = new Set();
+        
+        // Rebindable action bindings
+        this.bindings = bindings;
+        
+        this.boundHandlers = {
             keydown: this.handleKeyDown.bind(this),
             keyup: this.handleKeyUp.bind(this),
             mousedown: this.handleMouseDown.bind(this),
             mouseup: this.handleMouseUp.bind(this),
             mousemove: this.handleMouseMove.bind(this),
+            wheel: this.handleWheel.bind(this),
             contextmenu: this.handleContextMenu.bind(this)
         };
     }
@@ -300,10 +1294,9 @@ export class KeyboardMouseProvider {
         console.log('=== ACTIVATING KeyboardMouseProvider ===');
         console.log('Canvas element:', this.canvas);
         console.log('Document ready state:', document.readyState);
-        console.log('Key mappings:', this.keyMap);
         
         Object.entries(this.boundHandlers).forEach(([event, handler]) => {
-            if (event === 'mousemove' || event === 'mousedown' || event === 'mouseup' || event === 'contextmenu') {
+            if (event === 'mousemove' || event === 'mousedown' || event === 'mouseup' || event === 'wheel' || event === 'contextmenu') {
                 this.canvas.addEventListener(event, handler);
                 console.log('✓ Added canvas listener for:', event);
             } else {
@@ -325,7 +1318,7 @@ export class KeyboardMouseProvider {
     
     deactivate() {
         Object.entries(this.boundHandlers).forEach(([event, handler]) => {
-            if (event === 'mousemove' || event === 'mousedown' || event === 'mouseup' || event === 'contextmenu') {
+            if (event === 'mousemove' || event === 'mousedown' || event === 'mouseup' || event === 'wheel' || event === 'contextmenu') {
                 this.canvas.removeEventListener(event, handler);
             } else {
                 document.removeEventListener(event, handler);
@@ -350,61 +1343,64 @@ export class KeyboardMouseProvider {
             y /= length;
         }
         
-        this.inputManager.moveVector.x = x;
-        this.inputManager.moveVector.y = y;
-        this.inputManager.fire = this.mouseButtons.has(0); // Left mouse button
+        this.state.moveVector.x = x;
+        this.state.moveVector.y = y;
+        this.state.actions = new Set(this.keys);
+    }
+    
+    // A binding can map to different actions in different contexts (e.g. R), so hold them all
+    pressBinding(binding) {
+        const actions = this.bindings.getActionsForBinding(binding);
+        if (actions.length === 0) return false;
+        
+        this.inputManager.reportActivity(this);
+        actions.forEach(action => this.keys.add(action));
+        return true;
+    }
+    
+    releaseBinding(binding) {
+        const actions = this.bindings.getActionsForBinding(binding);
+        actions.forEach(action => this.keys.delete(action));
+        return actions.length > 0;
     }
     
     handleKeyDown(event) {
-        console.log('RAW KEY EVENT:', event.code, event.key, 'Target:', event.target.tagName);
-        const action = this.keyMap[event.code];
-        console.log('Key pressed:', event.code, 'Action:', action);
-        if (action) {
-            if (action === 'switchWeapon') {
-                console.log('Switch weapon triggered, current state:', this.inputManager.switchWeapon, 'Can switch:', this.inputManager.canSwitchWeapon());
-                // Only trigger if not already set and cooldown has passed
-                if (!this.inputManager.switchWeapon && this.inputManager.canSwitchWeapon()) {
-                    this.inputManager.switchWeapon = true;
-                    console.log('Weapon switch flag set to true');
-                }
-            } else if (action === 'creatorMode') {
-                // Only trigger if not already set and cooldown has passed
-                if (!this.inputManager.creatorMode && this.inputManager.canToggleCreatorMode()) {
-                    this.inputManager.creatorMode = true;
-                    console.log('Creator mode toggle flag set to true');
-                }
-            } else {
-                this.keys.add(action);
-            }
+        if (this.pressBinding(event.code)) {
             event.preventDefault();
         }
     }
     
     handleKeyUp(event) {
-        const action = this.keyMap[event.code];
-        if (action && action !== 'switchWeapon' && action !== 'creatorMode') {
-            this.keys.delete(action);
+        if (this.releaseBinding(event.code)) {
             event.preventDefault();
         }
     }
     
     handleMouseDown(event) {
-        this.mouseButtons.add(event.button);
+        this.pressBinding('Mouse' + event.button);
         event.preventDefault();
     }
     
     handleMouseUp(event) {
-        this.mouseButtons.delete(event.button);
+        this.releaseBinding('Mouse' + event.button);
         event.preventDefault();
     }
     
     handleMouseMove(event) {
-        const rect = this.canvas.getBoundingClientRect();
-        const scaleX = this.canvas.width / rect.width;
-        const scaleY = this.canvas.height / rect.height;
+        const pos = Utils.clientToCanvas(this.canvas, event.clientX, event.clientY);
+        this.inputManager.reportAim(this, pos.x, pos.y);
+    }
+    
+    // A wheel notch has no release, so its actions pulse instead of being held
+    handleWheel(event) {
+        if (event.deltaY === 0) return;
+        
+        const actions = this.bindings.getActionsForBinding(event.deltaY < 0 ? 'WheelUp' : 'WheelDown');
+        if (actions.length === 0) return;
         
-        this.inputManager.mouseX = (event.clientX - rect.left) * scaleX;
-        this.inputManager.mouseY = (event.clientY - rect.top) * scaleY;
+        this.inputManager.reportActivity(this);
+        actions.forEach(action => this.inputManager.pulseAction(action));
+        event.preventDefault();
     }
     
     handleContextMenu(event) {
@@ -412,56 +1408,844 @@ export class KeyboardMouseProvider {
     }
 }
 
-// Gesture Provider (stub)
+// Gesture Provider (pointer-based twin-stick controls)
 export class GestureProvider {
-    constructor() {
+    constructor(canvas) {
         this.name = 'gesture';
+        this.canvas = canvas;
         this.inputManager = null;
+        
+        // Active pointers keyed by pointerId
+        this.pointers = new Map();
+        
+        // Floating sticks: origin is wherever the finger first lands
+        this.moveStick = this.createStick();
+        this.aimStick = this.createStick();
+        
+        // Two-finger tap tracking
+        this.multiTouch = null;
+        
+        this.boundHandlers = {
+            pointerdown: this.handlePointerDown.bind(this),
+            pointermove: this.handlePointerMove.bind(this),
+            pointerup: this.handlePointerUp.bind(this),
+            pointercancel: this.handlePointerUp.bind(this),
+            contextmenu: this.handleContextMenu.bind(this)
+        };
+    }
+    
+    createStick() {
+        return {
+            pointerId: null,
+            originX: 0,
+            originY: 0,
+            x: 0,
+            y: 0
+        };
     }
     
     activate() {
-        // TODO: Implement gesture recognition
-        console.log('Gesture provider activated (stub)');
+        Object.entries(this.boundHandlers).forEach(([event, handler]) => {
+            this.canvas.addEventListener(event, handler);
+        });
+        // Stop the browser from scrolling/zooming while playing
+        this.canvas.style.touchAction = 'none';
     }
     
     deactivate() {
-        // TODO: Cleanup gesture listeners
-        console.log('Gesture provider deactivated (stub)');
+        Object.entries(this.boundHandlers).forEach(([event, handler]) => {
+            this.canvas.removeEventListener(event, handler);
+        });
+        this.canvas.style.touchAction = '';
+        
+        this.pointers.clear();
+        this.moveStick = this.createStick();
+        this.aimStick = this.createStick();
+        this.multiTouch = null;
     }
     
     update(deltaTime) {
-        // TODO: Process gesture input
+        if (!this.inputManager) return;
+        
+        // Left stick drives movement
+        const move = this.getStickVector(this.moveStick);
+        this.state.moveVector.x = move.x;
+        this.state.moveVector.y = move.y;
+        
+        // Right stick aims around the player and fires once pushed far enough
+        const aim = this.getStickVector(this.aimStick);
+        const aimMagnitude = Math.sqrt(aim.x * aim.x + aim.y * aim.y);
+        if (aimMagnitude > 0) {
+            const direction = Utils.normalize(aim.x, aim.y);
+            const origin = this.inputManager.getAimOrigin();
+            this.inputManager.reportAim(
+                this,
+                origin.x + direction.x * GESTURE_AIM_DISTANCE,
+                origin.y + direction.y * GESTURE_AIM_DISTANCE
+            );
+        }
+        if (aimMagnitude >= GESTURE_FIRE_THRESHOLD) {
+            this.state.actions.add('fire');
+        } else {
+            this.state.actions.delete('fire');
+        }
+    }
+    
+    getStickVector(stick) {
+        if (stick.pointerId === null) return { x: 0, y: 0 };
+        
+        const dx = stick.x - stick.originX;
+        const dy = stick.y - stick.originY;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        const magnitude = Math.min(length / GESTURE_STICK_RADIUS, 1);
+        
+        if (magnitude < INPUT_DEADZONE) return { x: 0, y: 0 };
+        
+        return {
+            x: (dx / length) * magnitude,
+            y: (dy / length) * magnitude
+        };
+    }
+    
+    handlePointerDown(event) {
+        // Mouse pointers belong to the keyboard/mouse provider
+        if (event.pointerType === 'mouse') return;
+        this.inputManager?.reportActivity(this);
+        
+        const pos = Utils.clientToCanvas(this.canvas, event.clientX, event.clientY);
+        const pointer = {
+            startX: pos.x,
+            startY: pos.y,
+            x: pos.x,
+            y: pos.y,
+            startTime: event.timeStamp,
+            drivesStick: false // Stick fingers never count as swipes
+        };
+        this.pointers.set(event.pointerId, pointer);
+        this.canvas.setPointerCapture?.(event.pointerId);
+        
+        // Left half of the canvas spawns the move stick, right half the aim stick
+        const stick = pos.x < this.canvas.width / 2 ? this.moveStick : this.aimStick;
+        if (stick.pointerId === null) {
+            stick.pointerId = event.pointerId;
+            stick.originX = stick.x = pos.x;
+            stick.originY = stick.y = pos.y;
+            pointer.drivesStick = true;
+        }
+        
+        // Second finger landing shortly after the first starts a possible two-finger tap
+        if (this.pointers.size === 2) {
+            const first = [...this.pointers.values()][0];
+            if (event.timeStamp - first.startTime <= GESTURE_TAP_MAX_DURATION) {
+                this.multiTouch = { startTime: first.startTime, released: 0, moved: false };
+            }
+        } else if (this.pointers.size > 2) {
+            this.multiTouch = null;
+        }
+        
+        event.preventDefault();
+    }
+    
+    handlePointerMove(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer) return;
+        
+        const pos = Utils.clientToCanvas(this.canvas, event.clientX, event.clientY);
+        pointer.x = pos.x;
+        pointer.y = pos.y;
+        
+        [this.moveStick, this.aimStick].forEach(stick => {
+            if (stick.pointerId === event.pointerId) {
+                stick.x = pos.x;
+                stick.y = pos.y;
+            }
+        });
+        
+        if (this.multiTouch &&
+            Utils.distance(pointer.startX, pointer.startY, pos.x, pos.y) > GESTURE_TAP_MAX_MOVEMENT) {
+            this.multiTouch.moved = true;
+        }
+        
+        event.preventDefault();
+    }
+    
+    handlePointerUp(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer) return;
+        
+        const pos = Utils.clientToCanvas(this.canvas, event.clientX, event.clientY);
+        pointer.x = pos.x;
+        pointer.y = pos.y;
+        this.pointers.delete(event.pointerId);
+        
+        [this.moveStick, this.aimStick].forEach(stick => {
+            if (stick.pointerId === event.pointerId) {
+                stick.pointerId = null;
+            }
+        });
+        
+        // A cancelled finger ends no gesture, and disarms a two-finger tap in progress
+        if (event.type === 'pointerup') {
+            this.detectGesture(pointer, event.timeStamp);
+        } else {
+            this.multiTouch = null;
+        }
+        
+        event.preventDefault();
+    }
+    
+    detectGesture(pointer, timeStamp) {
+        if (!this.inputManager) return;
+        
+        // Two-finger tap toggles creator mode once both fingers are lifted
+        if (this.multiTouch) {
+            this.multiTouch.released++;
+            if (this.multiTouch.released < 2) return;
+            
+            const isTap = !this.multiTouch.moved &&
+                timeStamp - this.multiTouch.startTime <= GESTURE_TAP_MAX_DURATION;
+            this.multiTouch = null;
+            
+            if (isTap) {
+                this.inputManager.pulseAction('creatorMode');
+            }
+            return;
+        }
+        
+        // Short, fast flick with a free finger switches weapon
+        if (pointer.drivesStick) return;
+        const duration = timeStamp - pointer.startTime;
+        const distance = Utils.distance(pointer.startX, pointer.startY, pointer.x, pointer.y);
+        if (duration <= GESTURE_SWIPE_MAX_DURATION && distance >= GESTURE_SWIPE_MIN_DISTANCE) {
+            this.inputManager.pulseAction('switchWeapon');
+        }
+    }
+    
+    handleContextMenu(event) {
+        event.preventDefault();
+    }
+    
+    render(ctx) {
+        [this.moveStick, this.aimStick].forEach(stick => {
+            if (stick.pointerId === null) return;
+            
+            const vector = this.getStickVector(stick);
+            const knobX = stick.originX + vector.x * GESTURE_STICK_RADIUS;
+            const knobY = stick.originY + vector.y * GESTURE_STICK_RADIUS;
+            
+            ctx.save();
+            
+            // Stick base
+            ctx.globalAlpha = 0.25;
+            ctx.fillStyle = '#FFFFFF';
+            ctx.beginPath();
+            ctx.arc(stick.originX, stick.originY, GESTURE_STICK_RADIUS, 0, Math.PI * 2);
+            ctx.fill();
+            
+            // Stick knob (red on the aim stick while firing)
+            ctx.globalAlpha = 0.6;
+            const firing = stick === this.aimStick && this.state?.actions.has('fire');
+            ctx.fillStyle = firing ? '#FF3B30' : '#FFFFFF';
+            ctx.beginPath();
+            ctx.arc(knobX, knobY, GESTURE_KNOB_RADIUS, 0, Math.PI * 2);
+            ctx.fill();
+            
+            ctx.restore();
+        });
+    }
+}
+
+// Gamepad Provider (standard-mapping controllers via the Gamepad API)
+export class GamepadProvider {
+    constructor() {
+        this.name = 'gamepad';
+        this.inputManager = null;
+        
+        this.gamepadIndex = null;
+        this.aimDirection = null; // Last right-stick direction, kept when the stick is released
+        
+        // Hot-plug listeners stay attached even while another provider is active
+        this.boundHandlers = {
+            gamepadconnected: this.handleConnected.bind(this),
+            gamepaddisconnected: this.handleDisconnected.bind(this)
+        };
+        if (typeof window !== 'undefined') {
+            Object.entries(this.boundHandlers).forEach(([event, handler]) => {
+                window.addEventListener(event, handler);
+            });
+        }
+    }
+    
+    deactivate() {
+        this.aimDirection = null;
+    }
+    
+    destroy() {
+        Object.entries(this.boundHandlers).forEach(([event, handler]) => {
+            window.removeEventListener(event, handler);
+        });
+    }
+    
+    handleConnected(event) {
+        this.inputManager?.eventBus.emit('gamepadConnected', { id: event.gamepad.id });
+        this.gamepadIndex = event.gamepad.index;
         if (this.inputManager) {
-            this.inputManager.moveVector.x = 0;
-            this.inputManager.moveVector.y = 0;
-            this.inputManager.fire = false;
+            this.inputManager.enableProvider(this.name);
+            this.inputManager.reportActivity(this);
+        }
+    }
+    
+    handleDisconnected(event) {
+        this.inputManager?.eventBus.emit('gamepadDisconnected', { id: event.gamepad.id });
+        if (event.gamepad.index !== this.gamepadIndex) return;
+        
+        // Switch to another connected pad if there is one
+        const other = this.getConnectedGamepads().find(pad => pad.index !== event.gamepad.index);
+        this.gamepadIndex = other ? other.index : null;
+        
+        if (!other && this.inputManager) {
+            this.inputManager.disableProvider(this.name);
+            this.inputManager.fallbackToDefault();
+        }
+    }
+    
+    getConnectedGamepads() {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return [];
+        return Array.from(navigator.getGamepads()).filter(Boolean);
+    }
+    
+    getGamepad() {
+        const pads = this.getConnectedGamepads();
+        return pads.find(pad => pad.index === this.gamepadIndex) || pads[0] || null;
+    }
+    
+    // Radial deadzone followed by a response curve, so small deflections give fine control
+    applyStickCurve(x, y) {
+        const magnitude = Math.sqrt(x * x + y * y);
+        if (magnitude < INPUT_DEADZONE) return { x: 0, y: 0 };
+        
+        const scaled = Math.min((magnitude - INPUT_DEADZONE) / (1 - INPUT_DEADZONE), 1);
+        const curved = Math.pow(scaled, GAMEPAD_RESPONSE_EXPONENT);
+        return {
+            x: (x / magnitude) * curved,
+            y: (y / magnitude) * curved
+        };
+    }
+    
+    update(deltaTime) {
+        if (!this.inputManager) return;
+        
+        const pad = this.getGamepad();
+        if (!pad) return;
+        
+        // Left stick: movement
+        const move = this.applyStickCurve(pad.axes[0] || 0, pad.axes[1] || 0);
+        this.state.moveVector.x = move.x;
+        this.state.moveVector.y = move.y;
+        
+        // Right stick: aim point around the player
+        const aimX = pad.axes[2] || 0;
+        const aimY = pad.axes[3] || 0;
+        const origin = this.inputManager.getAimOrigin();
+        if (Math.sqrt(aimX * aimX + aimY * aimY) >= INPUT_DEADZONE) {
+            this.aimDirection = Utils.normalize(aimX, aimY);
+            this.inputManager.reportAim(
+                this,
+                origin.x + this.aimDirection.x * GAMEPAD_AIM_DISTANCE,
+                origin.y + this.aimDirection.y * GAMEPAD_AIM_DISTANCE
+            );
+        } else if (this.aimDirection) {
+            // Keep aiming the same way as the player moves, without claiming the aim
+            this.state.aim = {
+                x: origin.x + this.aimDirection.x * GAMEPAD_AIM_DISTANCE,
+                y: origin.y + this.aimDirection.y * GAMEPAD_AIM_DISTANCE
+            };
         }
+        
+        // Buttons hold actions; InputManager does the edge detection
+        const actions = new Set();
+        Object.entries(GAMEPAD_ACTION_BUTTONS).forEach(([action, buttons]) => {
+            if (buttons.some(index => pad.buttons[index]?.pressed)) {
+                actions.add(action);
+            }
+        });
+        
+        // Triggers: fire
+        const triggerValue = Math.max(
+            pad.buttons[GAMEPAD_BUTTONS.LEFT_TRIGGER]?.value || 0,
+            pad.buttons[GAMEPAD_BUTTONS.RIGHT_TRIGGER]?.value || 0
+        );
+        if (triggerValue >= GAMEPAD_TRIGGER_THRESHOLD) {
+            actions.add('fire');
+        }
+        this.state.actions = actions;
+        
+        if (move.x !== 0 || move.y !== 0 || pad.buttons.some(button => button.pressed)) {
+            this.inputManager.reportActivity(this);
+        }
+    }
+    
+    rumble(duration = GAMEPAD_RUMBLE_DURATION, strongMagnitude = 1.0, weakMagnitude = 0.5) {
+        const actuator = this.getGamepad()?.vibrationActuator;
+        if (!actuator) return;
+        
+        actuator.playEffect('dual-rumble', {
+            duration,
+            strongMagnitude,
+            weakMagnitude
+        }).catch(() => {}); // Not every controller supports rumble
     }
 }
 
-// Voice Provider (stub)
-export class VoiceProvider {
+// Records the merged per-frame input state of a run so it can be replayed exactly
+export class InputRecorder {
     constructor() {
+        this.isRecording = false;
+        this.header = null;
+        this.frames = [];
+        this.deathFrame = null;
+    }
+    
+    start(seed, inputManager, metadata = {}) {
+        this.isRecording = true;
+        this.header = {
+            version: REPLAY_VERSION,
+            seed,
+            actions: [...inputManager.actions.keys()],
+            initialActions: [...inputManager.getHeldActions()],
+            ...metadata
+        };
+        this.frames = [];
+        this.deathFrame = null;
+    }
+    
+    stop() {
+        this.isRecording = false;
+    }
+    
+    // Quantizes the live input state in place, so the running game sees exactly
+    // the values the replay will feed back. Returns the quantized delta time.
+    record(deltaTime, inputManager) {
+        if (!this.isRecording) return deltaTime;
+        
+        const dtMicros = Math.round(deltaTime * 1e6);
+        const moveX = Math.round(inputManager.moveVector.x * 1000);
+        const moveY = Math.round(inputManager.moveVector.y * 1000);
+        const aimX = Math.round(inputManager.mouseX * 100);
+        const aimY = Math.round(inputManager.mouseY * 100);
+        
+        let actionMask = 0;
+        this.header.actions.forEach((action, bit) => {
+            if (inputManager.actionStates.get(action)?.held) actionMask |= 1 << bit;
+        });
+        
+        inputManager.moveVector.x = moveX / 1000;
+        inputManager.moveVector.y = moveY / 1000;
+        inputManager.mouseX = aimX / 100;
+        inputManager.mouseY = aimY / 100;
+        
+        this.frames.push([dtMicros, moveX, moveY, aimX, aimY, actionMask]);
+        return dtMicros / 1e6;
+    }
+    
+    markDeath() {
+        if (this.isRecording) {
+            this.deathFrame = this.frames.length;
+        }
+    }
+    
+    getFrameCount() {
+        return this.frames.length;
+    }
+    
+    // Run-length encode identical consecutive frames: [repeat, dt, moveX, moveY, aimX, aimY, actions]
+    toJSON() {
+        const encoded = [];
+        this.frames.forEach(frame => {
+            const last = encoded[encoded.length - 1];
+            if (last && frame.every((value, i) => value === last[i + 1])) {
+                last[0]++;
+            } else {
+                encoded.push([1, ...frame]);
+            }
+        });
+        
+        return {
+            ...this.header,
+            frameCount: this.frames.length,
+            deathFrame: this.deathFrame,
+            frames: encoded
+        };
+    }
+}
+
+// Replay Provider (feeds a recorded run back into InputManager, one frame per update)
+export class ReplayProvider {
+    constructor() {
+        this.name = 'replay';
+        this.inputManager = null;
+        
+        this.replay = null;
+        this.frames = [];
+        this.frameIndex = 0;
+    }
+    
+    // Validate and decode replay JSON (object or string)
+    static parse(data) {
+        const replay = typeof data === 'string' ? JSON.parse(data) : data;
+        
+        if (!replay || replay.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version: ${replay?.version}`);
+        }
+        if (!Array.isArray(replay.actions) || !Array.isArray(replay.frames) || replay.seed === undefined) {
+            throw new Error('Malformed replay: missing seed, actions or frames');
+        }
+        
+        const frames = [];
+        replay.frames.forEach(([repeat, ...frame]) => {
+            for (let i = 0; i < repeat; i++) frames.push(frame);
+        });
+        
+        return { ...replay, frames };
+    }
+    
+    load(data) {
+        this.replay = ReplayProvider.parse(data);
+        this.frames = this.replay.frames;
+        this.frameIndex = 0;
+        return this.replay;
+    }
+    
+    hasNextFrame() {
+        return this.frameIndex < this.frames.length;
+    }
+    
+    // Delta time (seconds) of the frame the next update will apply
+    peekDeltaTime() {
+        return this.hasNextFrame() ? this.frames[this.frameIndex][0] / 1e6 : 0;
+    }
+    
+    getDeathFrame() {
+        return this.replay?.deathFrame ?? this.frames.length;
+    }
+    
+    update(deltaTime) {
+        if (!this.inputManager || !this.hasNextFrame()) {
+            this.state.moveVector = { x: 0, y: 0 };
+            this.state.actions = new Set();
+            return;
+        }
+        
+        const [, moveX, moveY, aimX, aimY, actionMask] = this.frames[this.frameIndex];
+        this.frameIndex++;
+        
+        this.state.moveVector = { x: moveX / 1000, y: moveY / 1000 };
+        this.state.aim = { x: aimX / 100, y: aimY / 100 };
+        this.state.aimTime = this.frameIndex;
+        
+        const actions = new Set();
+        this.replay.actions.forEach((action, bit) => {
+            if (actionMask & (1 << bit)) actions.add(action);
+        });
+        this.state.actions = actions;
+    }
+}
+
+// Scripted Provider (input from code, e.g. headless runs and regression checks)
+// An input is { move: { x, y }, aim: { x, y }, actions: ['fire', ...] }; missing fields mean idle.
+// The script is a fixed input, an array of inputs (one per update) or a function (frame, deltaTime) => input.
+export class ScriptedInputProvider {
+    constructor(script = null) {
+        this.name = 'scripted';
+        this.inputManager = null;
+        this.setScript(script);
+    }
+
+    setScript(script) {
+        this.script = script;
+        this.frame = 0;
+    }
+
+    // Hold `input` until it is changed
+    setInput(input) {
+        this.setScript(input);
+    }
+
+    getInput(deltaTime) {
+        if (typeof this.script === 'function') return this.script(this.frame, deltaTime);
+        if (Array.isArray(this.script)) return this.script[this.frame];
+        return this.script;
+    }
+
+    update(deltaTime) {
+        const input = this.getInput(deltaTime) || {};
+        this.frame++;
+
+        this.state.moveVector = { x: input.move?.x ?? 0, y: input.move?.y ?? 0 };
+        this.state.actions = new Set(input.actions || []);
+        if (input.aim) {
+            this.state.aim = { x: input.aim.x, y: input.aim.y };
+            this.state.aimTime = this.frame;
+        }
+    }
+}
+
+// Voice Provider (Web Speech API or any pluggable transcript source)
+export class VoiceProvider {
+    constructor(options = {}) {
         this.name = 'voice';
         this.inputManager = null;
+        
+        // Where transcripts come from; defaults to speech recognition when the browser has it
+        this.source = options.source ?? (SpeechTranscriptSource.isSupported() ? new SpeechTranscriptSource() : null);
+        // Returns the live enemy nearest a point, or null; auto-aim targets it
+        this.findTarget = options.findTarget ?? (() => null);
+        
+        // Persistent state set by commands
+        this.move = { x: 0, y: 0 };
+        this.firing = false;
+        this.lastCommand = null;
+        
+        this.boundTranscriptHandler = this.handleTranscript.bind(this);
+        this.boundSourceErrorHandler = this.handleSourceError.bind(this);
+    }
+    
+    // Parse a transcript into a list of commands, e.g. "move left and fire"
+    static parse(transcript) {
+        const tokens = transcript.toLowerCase().replace(/[^a-z\s]/g, ' ').split(/\s+/).filter(Boolean);
+        const commands = [];
+        
+        let i = 0;
+        while (i < tokens.length) {
+            // "move"/"go" followed by one or two directions, e.g. "move up left"
+            if ((tokens[i] === 'move' || tokens[i] === 'go') && VOICE_DIRECTIONS[tokens[i + 1]]) {
+                let x = 0, y = 0, j = i + 1;
+                while (j < tokens.length && j <= i + 2 && VOICE_DIRECTIONS[tokens[j]]) {
+                    x += VOICE_DIRECTIONS[tokens[j]].x;
+                    y += VOICE_DIRECTIONS[tokens[j]].y;
+                    j++;
+                }
+                commands.push({ type: 'move', ...Utils.normalize(x, y) });
+                i = j;
+                continue;
+            }
+            
+            const match = VOICE_GRAMMAR.find(({ phrase }) =>
+                phrase.every((word, offset) => tokens[i + offset] === word)
+            );
+            if (match) {
+                commands.push({ ...match.command });
+                i += match.phrase.length;
+            } else {
+                i++;
+            }
+        }
+        
+        return commands;
     }
     
     activate() {
-        // TODO: Initialize speech recognition
-        console.log('Voice provider activated (stub)');
+        if (!this.source) {
+            console.warn('Voice provider has no transcript source (speech recognition unavailable)');
+            return;
+        }
+        this.source.start(this.boundTranscriptHandler, this.boundSourceErrorHandler);
     }
     
     deactivate() {
-        // TODO: Stop speech recognition
-        console.log('Voice provider deactivated (stub)');
+        this.source?.stop();
+        
+        this.move = { x: 0, y: 0 };
+        this.firing = false;
+    }
+    
+    setSource(source) {
+        const wasActive = !!this.inputManager?.isProviderActive(this.name);
+        if (wasActive) this.source?.stop();
+        this.source = source;
+        if (wasActive) this.source?.start(this.boundTranscriptHandler, this.boundSourceErrorHandler);
+    }
+    
+    handleTranscript(transcript) {
+        const commands = VoiceProvider.parse(transcript);
+        if (commands.length > 0 && this.inputManager) {
+            this.inputManager.reportActivity(this);
+        }
+        commands.forEach(command => this.applyCommand(command));
+        return commands;
+    }
+    
+    // The source gave up for good (e.g. microphone permission refused); let the UI say so
+    handleSourceError(error) {
+        this.inputManager?.eventBus.emit('voiceError', { error });
+    }
+    
+    applyCommand(command) {
+        this.lastCommand = command;
+        
+        switch (command.type) {
+            case 'move':
+                this.move = { x: command.x, y: command.y };
+                break;
+            case 'stop':
+                this.move = { x: 0, y: 0 };
+                break;
+            case 'fire':
+                this.firing = command.value;
+                break;
+            case 'switchWeapon':
+            case 'reload':
+            case 'pickup':
+            case 'creatorMode':
+            case 'pause':
+                this.inputManager?.pulseAction(command.type);
+                break;
+        }
     }
     
     update(deltaTime) {
-        // TODO: Process voice commands
-        if (this.inputManager) {
-            this.inputManager.moveVector.x = 0;
-            this.inputManager.moveVector.y = 0;
-            this.inputManager.fire = false;
+        // Scripted sources are advanced by game time so runs are reproducible
+        this.source?.update?.(deltaTime);
+        
+        if (!this.inputManager) return;
+        
+        this.state.moveVector.x = this.move.x;
+        this.state.moveVector.y = this.move.y;
+        
+        // Voice cannot aim, so fire at the nearest enemy (and hold fire when there is none)
+        const target = this.firing ? this.findNearestTarget() : null;
+        if (target) {
+            this.inputManager.reportAim(this, target.x, target.y);
+            this.state.actions.add('fire');
+        } else {
+            this.state.actions.delete('fire');
+        }
+    }
+    
+    findNearestTarget() {
+        const origin = this.inputManager.getAimOrigin();
+        return this.findTarget(origin.x, origin.y);
+    }
+}
+
+// Transcript source backed by the Web Speech API
+export class SpeechTranscriptSource {
+    constructor(lang = 'en-US') {
+        this.lang = lang;
+        this.recognition = null;
+        this.running = false;
+    }
+    
+    static isSupported() {
+        return typeof window !== 'undefined' &&
+            !!(window.SpeechRecognition || window.webkitSpeechRecognition);
+    }
+    
+    start(onTranscript, onError) {
+        const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        this.recognition = new Recognition();
+        this.recognition.lang = this.lang;
+        this.recognition.continuous = true;
+        this.recognition.interimResults = false;
+        
+        this.recognition.onresult = (event) => {
+            for (let i = event.resultIndex; i < event.results.length; i++) {
+                if (event.results[i].isFinal) {
+                    onTranscript(event.results[i][0].transcript);
+                }
+            }
+        };
+        this.recognition.onerror = (event) => {
+            console.warn('Speech recognition error:', event.error);
+            // No microphone permission or no service: stop instead of restarting on end
+            if (SPEECH_FATAL_ERRORS.includes(event.error)) {
+                this.running = false;
+                onError?.(event.error);
+            }
+        };
+        // Browsers end recognition after silence; keep listening while active
+        this.recognition.onend = () => {
+            if (this.running) this.recognition.start();
+        };
+        
+        this.running = true;
+        this.recognition.start();
+    }
+    
+    stop() {
+        this.running = false;
+        this.recognition?.stop();
+        this.recognition = null;
+    }
+}
+
+// Transcript source reading typed commands from a text input (submitted with Enter)
+export class TextInputTranscriptSource {
+    constructor(inputElement) {
+        this.input = inputElement;
+        this.onTranscript = null;
+        this.boundKeyDown = this.handleKeyDown.bind(this);
+    }
+    
+    start(onTranscript) {
+        this.onTranscript = onTranscript;
+        this.input.addEventListener('keydown', this.boundKeyDown);
+        this.input.classList.remove('hidden');
+        this.input.focus();
+    }
+    
+    stop() {
+        this.input.removeEventListener('keydown', this.boundKeyDown);
+        this.input.classList.add('hidden');
+        this.onTranscript = null;
+    }
+    
+    handleKeyDown(event) {
+        // Keep typed letters away from the game's own key handlers
+        event.stopPropagation();
+        if (event.key !== 'Enter') return;
+        
+        const text = this.input.value.trim();
+        this.input.value = '';
+        if (text && this.onTranscript) {
+            this.onTranscript(text);
+        }
+    }
+}
+
+// Transcript source replaying scripted phrases, e.g. ['move left', { time: 1.5, text: 'fire' }]
+// Plain strings are emitted one per update; timed entries once game time reaches them
+export class ScriptedTranscriptSource {
+    constructor(script = []) {
+        this.script = script.map(entry => typeof entry === 'string' ? { text: entry } : entry);
+        this.index = 0;
+        this.time = 0;
+        this.onTranscript = null;
+    }
+    
+    start(onTranscript) {
+        this.onTranscript = onTranscript;
+    }
+    
+    stop() {
+        this.onTranscript = null;
+    }
+    
+    isFinished() {
+        return this.index >= this.script.length;
+    }
+    
+    update(deltaTime) {
+        if (!this.onTranscript) return;
+        
+        this.time += deltaTime;
+        while (!this.isFinished()) {
+            const entry = this.script[this.index];
+            if (entry.time !== undefined && entry.time > this.time) break;
+            
+            this.index++;
+            this.onTranscript(entry.text);
+            if (entry.time === undefined) break;
         }
     }
 }
@@ -470,12 +2254,20 @@ export class VoiceProvider {
 export class SoundManager {
     constructor() {
         this.sounds = {};
+        this.playbackRates = {};
+        this.masterVolume = 1;
+    }
+    
+    setMasterVolume(volume) {
+        this.masterVolume = Utils.clamp(volume, 0, 1);
     }
 
-    load(name, path, volume = 0.5) {
+    // The same file can be loaded under several names at different pitches
+    load(name, path, volume = 0.5, playbackRate = 1) {
         const audio = new Audio(path);
         audio.volume = volume;
         this.sounds[name] = audio;
+        this.playbackRates[name] = playbackRate;
     }
 
     play(name) {
@@ -483,7 +2275,8 @@ export class SoundManager {
         if (sound) {
             // cloneNode 防止上一个播放被打断
             const clone = sound.cloneNode(true);
-            clone.volume = sound.volume;
+            clone.volume = sound.volume * this.masterVolume;
+            clone.playbackRate = this.playbackRates[name];
             clone.play();
         } else {
             console.warn('Sound not found:', name);
@@ -0,0 +1,182 @@
+// Enemy archetypes are data: one JSON file per enemy in assets/enemies/, listed in its
+// index.json and loaded by loadEnemyDefinitions() (during BOOT in the browser, on import
+// in headless.js). Adding an archetype means adding a file and a manifest line. A
+// definition looks like:
+//   id, name      registry key (used by wave sets) and display name
+//   behavior      which behaviour class drives it (see ENEMY_BEHAVIORS)
+//   stats         { hp, speed (pt/s), damage, mass (heavier enemies shrug off knockback) }
+//   radius        collision radius (pt)
+//   xp, score     rewards for the kill
+//   color         fallback colour when a sprite is missing
+//   deathSound    sound key played on the kill
+//   sprites       walk (required), hit, death: { key | facing: { left, right }, frames,
+//                 frameDuration (s), scale, rotate?, alpha?, brightness? }
+//   flash         optional tint after taking damage: { duration (s), alpha?, brightness?, color? }
+//   loot          optional drops: { chance (0-1), drops: [{ pickup (see PICKUP_TYPES), weight }] }
+//   steering      optional movement blend: { behaviour: { weight, ...params } } with behaviours
+//                 from STEERING_BEHAVIORS (steering.js); plain seek when left out
+// plus the parameter block its behaviour needs (attack, contact, ...).
+
+import { Assassin, Shooter, Tank, PICKUP_TYPES } from './gameplay.js';
+import { STEERING_BEHAVIORS } from './steering.js';
+
+const ENEMY_DIRECTORY = new URL('../assets/enemies/', import.meta.url);
+const ENEMY_MANIFEST = 'index.json'; // JSON array of definition file names, in registry order
+
+const ANIMATIONS = ['walk', 'hit', 'death'];
+
+// Behaviour name -> class, plus the numeric fields of the parameter block it reads
+export const ENEMY_BEHAVIORS = {
+    chaser: { type: Assassin, params: {} },
+    gunner: {
+        type: Shooter,
+        params: { attack: ['fireInterval', 'spread', 'bulletSpeed', 'bulletRadius', 'bulletLifetime'] }
+    },
+    bruiser: { type: Tank, params: { contact: ['cooldown', 'knockback'] } }
+};
+
+// Validate one definition; throws with the file and field at fault
+export function parseEnemyDefinition(data, source = 'enemy') {
+    const definition = typeof data === 'string' ? JSON.parse(data) : data;
+    const fail = (message) => { throw new Error(`Invalid enemy definition ${source}: ${message}`); };
+    const checkNumber = (value, path, min = 0) => {
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min) {
+            fail(`"${path}" must be a number >= ${min}`);
+        }
+    };
+    const checkString = (value, path) => {
+        if (typeof value !== 'string' || value === '') fail(`"${path}" must be a non-empty string`);
+    };
+    
+    if (!definition || typeof definition !== 'object') fail('not an object');
+    checkString(definition.id, 'id');
+    checkString(definition.name, 'name');
+    if (!ENEMY_BEHAVIORS[definition.behavior]) {
+        fail(`"behavior" must be one of ${Object.keys(ENEMY_BEHAVIORS).join(', ')}`);
+    }
+    
+    if (!definition.stats || typeof definition.stats !== 'object') fail('"stats" must be an object');
+    checkNumber(definition.stats.hp, 'stats.hp', 1);
+    checkNumber(definition.stats.speed, 'stats.speed');
+    checkNumber(definition.stats.damage, 'stats.damage');
+    checkNumber(definition.stats.mass, 'stats.mass', 0.001);
+    checkNumber(definition.radius, 'radius', 1);
+    checkNumber(definition.xp, 'xp');
+    checkNumber(definition.score, 'score');
+    checkString(definition.color, 'color');
+    if (definition.deathSound !== undefined) checkString(definition.deathSound, 'deathSound');
+    
+    const sprites = definition.sprites;
+    if (!sprites || typeof sprites !== 'object' || !sprites.walk) fail('"sprites.walk" is required');
+    Object.entries(sprites).forEach(([name, animation]) => {
+        const path = `sprites.${name}`;
+        if (!ANIMATIONS.includes(name)) fail(`unknown animation "${name}" (expected ${ANIMATIONS.join(', ')})`);
+        if (animation.facing) {
+            checkString(animation.facing.left, `${path}.facing.left`);
+            checkString(animation.facing.right, `${path}.facing.right`);
+        } else {
+            checkString(animation.key, `${path}.key`);
+        }
+        if (!Number.isInteger(animation.frames) || animation.frames < 1) fail(`"${path}.frames" must be a positive integer`);
+        checkNumber(animation.frameDuration, `${path}.frameDuration`, 0.001);
+        checkNumber(animation.scale, `${path}.scale`, 0.001);
+        if (animation.alpha !== undefined) checkNumber(animation.alpha, `${path}.alpha`);
+        if (animation.brightness !== undefined) checkNumber(animation.brightness, `${path}.brightness`);
+    });
+    
+    if (definition.flash !== undefined) {
+        checkNumber(definition.flash.duration, 'flash.duration', 0.001);
+        if (definition.flash.alpha !== undefined) checkNumber(definition.flash.alpha, 'flash.alpha');
+        if (definition.flash.brightness !== undefined) checkNumber(definition.flash.brightness, 'flash.brightness');
+    }
+    
+    if (definition.loot !== undefined) {
+        const { chance, drops } = definition.loot;
+        if (!(chance >= 0 && chance <= 1)) fail('"loot.chance" must be between 0 and 1');
+        if (!Array.isArray(drops) || drops.length === 0) fail('"loot.drops" must be a non-empty array');
+        drops.forEach((drop, index) => {
+            if (!PICKUP_TYPES[drop.pickup]) {
+                fail(`"loot.drops[${index}].pickup" must be one of ${Object.keys(PICKUP_TYPES).join(', ')}`);
+            }
+            checkNumber(drop.weight, `loot.drops[${index}].weight`, 0.001);
+        });
+    }
+    
+    if (definition.steering !== undefined) {
+        if (!definition.steering || typeof definition.steering !== 'object' || Object.keys(definition.steering).length === 0) {
+            fail('"steering" must be an object with at least one behaviour');
+        }
+        Object.entries(definition.steering).forEach(([name, params]) => {
+            const path = `steering.${name}`;
+            if (!STEERING_BEHAVIORS[name]) fail(`unknown steering behaviour "${name}" (expected ${Object.keys(STEERING_BEHAVIORS).join(', ')})`);
+            if (!params || typeof params !== 'object') fail(`"${path}" must be an object`);
+            checkNumber(params.weight, `${path}.weight`);
+            STEERING_BEHAVIORS[name].params.forEach(field => checkNumber(params[field], `${path}.${field}`));
+        });
+    }
+    
+    Object.entries(ENEMY_BEHAVIORS[definition.behavior].params).forEach(([block, fields]) => {
+        if (!definition[block] || typeof definition[block] !== 'object') {
+            fail(`behavior "${definition.behavior}" needs a "${block}" object`);
+        }
+        fields.forEach(field => checkNumber(definition[block][field], `${block}.${field}`));
+    });
+    
+    return definition;
+}
+
+// id -> definition
+export const ENEMY_DEFINITIONS = {};
+
+// id -> class; `new ENEMY_REGISTRY[id](x, y)` spawns one
+export const ENEMY_REGISTRY = {};
+
+let loading = null; // Promise of the first loadEnemyDefinitions() call
+
+// Read a JSON file over HTTP, or from disk under Node (where fetch cannot read file: URLs)
+async function readJson(url, source) {
+    try {
+        if (url.protocol === 'file:') {
+            const { readFile } = await import('node:fs/promises');
+            return JSON.parse(await readFile(url, 'utf8'));
+        }
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return await response.json();
+    } catch (error) {
+        throw new Error(`Could not load enemy definition ${source}: ${error.message}`);
+    }
+}
+
+// Fill ENEMY_DEFINITIONS and ENEMY_REGISTRY from the manifest. Runs once; later calls get
+// the same promise. Rejects with the file at fault, and registers nothing if any file is bad.
+export function loadEnemyDefinitions(directory = ENEMY_DIRECTORY) {
+    loading ??= (async () => {
+        const files = await readJson(new URL(ENEMY_MANIFEST, directory), ENEMY_MANIFEST);
+        if (!Array.isArray(files) || files.length === 0) {
+            throw new Error(`Invalid enemy manifest ${ENEMY_MANIFEST}: must be a non-empty array of file names`);
+        }
+        
+        const definitions = await Promise.all(files.map(async file => (
+            parseEnemyDefinition(await readJson(new URL(file, directory), file), file)
+        )));
+        definitions.forEach((definition, index) => {
+            if (definitions.findIndex(other => other.id === definition.id) !== index) {
+                throw new Error(`Invalid enemy definition ${files[index]}: duplicate id "${definition.id}"`);
+            }
+        });
+        
+        definitions.forEach(definition => {
+            const Behavior = ENEMY_BEHAVIORS[definition.behavior].type;
+            ENEMY_DEFINITIONS[definition.id] = definition;
+            ENEMY_REGISTRY[definition.id] = class extends Behavior {
+                constructor(x, y) {
+                    super(x, y, definition);
+                }
+            };
+        });
+    })();
+    return loading;
+}
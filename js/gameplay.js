@@ -3,29 +3,91 @@ const PLAYER_SPEED = 220; // pt/s
 const PLAYER_RADIUS = 16; // pt
 const PLAYER_MAX_HP = 3;
 const PLAYER_IFRAME_DURATION = 0.8; // seconds
-const ASSASSIN_SPEED = 150; // pt/s
-const ASSASSIN_RADIUS = 15; // pt
-const SHOOTER_SPEED = 120; // pt/s
-const SHOOTER_RADIUS = 20; // pt
-const SHOOTER_MOVE_DURATION = 2.0; // seconds
-const SHOOTER_FIRE_RATE = 2.0; // seconds between shots
-const SHOOTER_SPREAD_ANGLE = 4; // degrees
-const SHOOTER_BULLET_SPEED = 400; // pt/s
-const SHOOTER_BULLET_RADIUS = 4; // pt
-const SHOOTER_BULLET_LIFETIME = 2.5; // seconds
-const TANK_SPEED = 50; // pt/s
-const TANK_RADIUS = 25; // pt
-const TANK_HP = 3;
-const TANK_CONTACT_COOLDOWN = 0.7; // seconds
-const TANK_KNOCKBACK = 8; // pt
-const TANK_FLASH_DURATION = 0.1; // seconds
+const PLAYER_MASS = 2;
 const BULLET_SPEED = 600; // pt/s
 const BULLET_RADIUS = 3; // pt
+const PISTOL_KNOCKBACK = 150; // impulse per bullet (mass x pt/s)
 const PISTOL_FIRE_RATE = 1.0; // seconds between shots
+const PISTOL_MAGAZINE = 8;
+const PISTOL_RELOAD_TIME = 1.0; // seconds
 const MACHINE_GUN_FIRE_RATE = 0.5; // seconds between shots
-const MACHINE_GUN_AMMO = 50;
-
-import { Utils, CollisionSystem } from './core.js';
+const MACHINE_GUN_MAGAZINE = 30;
+const MACHINE_GUN_RESERVE = 60; // rounds carried beyond the magazine
+const MACHINE_GUN_RELOAD_TIME = 1.8; // seconds
+const MACHINE_GUN_SPIN_UP_TIME = 1.5; // seconds of held trigger to reach full speed
+const MACHINE_GUN_SPUN_FIRE_RATE = 0.15; // seconds between shots at full speed
+const MACHINE_GUN_KNOCKBACK = 60; // impulse per bullet
+const SHOTGUN_FIRE_RATE = 0.9; // seconds between shots
+const SHOTGUN_MAGAZINE = 6;
+const SHOTGUN_RESERVE = 18;
+const SHOTGUN_RELOAD_TIME = 1.4; // seconds
+const SHOTGUN_PELLETS = 7;
+const SHOTGUN_SPREAD_ANGLE = 30; // degrees across the whole spread
+const SHOTGUN_PELLET_SPEED = 700; // pt/s
+const SHOTGUN_PELLET_RADIUS = 2; // pt
+const SHOTGUN_PELLET_LIFETIME = 0.6; // seconds
+const SHOTGUN_PELLET_DAMAGE = 1;
+const SHOTGUN_PELLET_KNOCKBACK = 50; // impulse per pellet
+const SHOTGUN_FALLOFF_START = 120; // pt travelled before damage starts dropping
+const SHOTGUN_FALLOFF_END = 360; // pt travelled where damage bottoms out
+const SHOTGUN_FALLOFF_MIN = 0.3; // fraction of damage left at range
+const RAILGUN_FIRE_RATE = 1.2; // seconds between shots
+const RAILGUN_MAGAZINE = 2;
+const RAILGUN_RESERVE = 8;
+const RAILGUN_RELOAD_TIME = 1.5; // seconds
+const RAILGUN_CHARGE_TIME = 0.6; // seconds of held trigger per shot
+const RAILGUN_DAMAGE = 3;
+const RAILGUN_KNOCKBACK = 500; // impulse
+const RAILGUN_RANGE = 2000; // pt, past any arena edge
+const RAILGUN_BEAM_WIDTH = 8; // pt
+const RAILGUN_BEAM_FADE = 0.25; // seconds the beam stays visible
+const GRENADE_FIRE_RATE = 1.1; // seconds between shots
+const GRENADE_MAGAZINE = 4;
+const GRENADE_RESERVE = 8;
+const GRENADE_RELOAD_TIME = 1.6; // seconds
+const GRENADE_SPEED = 450; // pt/s
+const GRENADE_RADIUS = 6; // pt
+const GRENADE_DAMAGE = 3; // at the centre of the blast
+const GRENADE_BLAST_RADIUS = 90; // pt
+const GRENADE_BLAST_EDGE_DAMAGE = 0.4; // fraction of damage at the blast edge
+const GRENADE_BLAST_KNOCKBACK = 450; // impulse at the centre, falling off like the damage
+const GRENADE_BLAST_FADE = 0.35; // seconds the blast stays visible
+const MULTISHOT_SPREAD_ANGLE = 10; // degrees between extra projectiles
+const WEAPON_SLOTS = 4; // inventory size; each slot has a weaponSlotN input action
+const PICKUP_RADIUS = 12; // pt
+const PICKUP_LIFETIME = 12; // seconds on the ground
+const PICKUP_BLINK_TIME = 3; // seconds of blinking before it despawns
+const PICKUP_BLINK_RATE = 8; // visibility toggles per second while blinking
+
+import { Utils, CollisionSystem, COLLISION_LAYERS, COLLISION_MASKS, RNG, RNG_STREAMS } from './core.js';
+import { Steering } from './steering.js';
+
+// Stacking stat modifiers (from upgrades): value = (base + add) * mult
+export class StatModifiers {
+    constructor() {
+        this.stats = new Map(); // stat -> { add, mult }
+    }
+    
+    add({ stat, add = 0, mult = 1 }) {
+        const current = this.get(stat);
+        this.stats.set(stat, { add: current.add + add, mult: current.mult * mult });
+    }
+    
+    get(stat) {
+        return this.stats.get(stat) || { add: 0, mult: 1 };
+    }
+    
+    apply(stat, base) {
+        const { add, mult } = this.get(stat);
+        return (base + add) * mult;
+    }
+    
+    // Undo an earlier add() (timed power-ups)
+    remove({ stat, add = 0, mult = 1 }) {
+        const current = this.get(stat);
+        this.stats.set(stat, { add: current.add - add, mult: current.mult / mult });
+    }
+}
 
 // Base Entity class
 export class Entity {
@@ -38,6 +100,66 @@ export class Entity {
         this.hp = 1;
         this.maxHp = 1;
         this.alive = true;
+        
+        // Collision layer bit and the layer bits it reacts to; 0 collides with nothing
+        this.layer = 0;
+        this.mask = 0;
+        
+        // Physics (see PhysicsSystem): Infinity never moves; knockback is a decaying velocity
+        // on top of whatever the entity's own movement does
+        this.mass = 1;
+        this.knockbackX = 0;
+        this.knockbackY = 0;
+        this.confined = false; // Set once fully inside the arena; keepInBounds() holds it there
+        
+        // Position before the last simulation step (for render interpolation)
+        this.prevX = x;
+        this.prevY = y;
+        this.simX = x;
+        this.simY = y;
+    }
+    
+    savePreviousPosition() {
+        this.prevX = this.x;
+        this.prevY = this.y;
+    }
+    
+    // Temporarily move to the interpolated render position; restorePosition() undoes it
+    applyInterpolation(alpha) {
+        this.simX = this.x;
+        this.simY = this.y;
+        this.x = Utils.lerp(this.prevX, this.x, alpha);
+        this.y = Utils.lerp(this.prevY, this.y, alpha);
+    }
+    
+    restorePosition() {
+        this.x = this.simX;
+        this.y = this.simY;
+    }
+    
+    // Move onto a layer (see COLLISION_LAYERS); the mask defaults to the layer's matrix row
+    setCollisionLayer(layer, mask = COLLISION_MASKS[layer]) {
+        this.layer = COLLISION_LAYERS[layer];
+        this.mask = mask;
+    }
+    
+    // Entities spawned outside the arena walk in freely; from the first time they are
+    // fully inside they are kept there
+    keepInBounds(bounds) {
+        if (!this.confined) {
+            this.confined = this.x >= this.radius && this.x <= bounds.width - this.radius &&
+                            this.y >= this.radius && this.y <= bounds.height - this.radius;
+            if (!this.confined) return;
+        }
+        this.x = Utils.clamp(this.x, this.radius, bounds.width - this.radius);
+        this.y = Utils.clamp(this.y, this.radius, bounds.height - this.radius);
+    }
+    
+    // Instant change of momentum, e.g. a bullet hit; heavier entities move less
+    applyImpulse(impulseX, impulseY) {
+        if (this.mass === Infinity) return;
+        this.knockbackX += impulseX / this.mass;
+        this.knockbackY += impulseY / this.mass;
     }
     
     update(deltaTime) {
@@ -75,11 +197,16 @@ export class Entity {
 
 // Player class
 export class Player extends Entity {
-    constructor(x, y) {
+    constructor(x, y, events = null) {
         super(x, y, PLAYER_RADIUS);
+        this.setCollisionLayer('player');
+        this.mass = PLAYER_MASS;
+        this.events = events; // EventBus for 'playerDamaged', if any
         this.hp = PLAYER_MAX_HP;
         this.maxHp = PLAYER_MAX_HP;
         this.speed = PLAYER_SPEED;
+        this.modifiers = new StatModifiers(); // Upgrades; weapons read them through their owner
+        this.powerUps = []; // Active timed modifiers: { id, modifiers, timer }
         this.iframeTimer = 0;
         this.flashTimer = 0;
         this.weapon = null;
@@ -101,8 +228,9 @@ export class Player extends Entity {
     update(deltaTime, inputManager, bounds) {
         // Handle movement
         const moveVector = inputManager.getMoveVector();
-        this.vx = moveVector.x * this.speed;
-        this.vy = moveVector.y * this.speed;
+        const speed = this.modifiers.apply('moveSpeed', this.speed);
+        this.vx = moveVector.x * speed;
+        this.vy = moveVector.y * speed;
         
         // Update position with bounds checking
         let newX = this.x + this.vx * deltaTime;
@@ -122,6 +250,7 @@ export class Player extends Entity {
         if (this.flashTimer > 0) {
             this.flashTimer -= deltaTime;
         }
+        this.updatePowerUps(deltaTime);
         
         // Update weapon
         if (this.weapon) {
@@ -198,19 +327,18 @@ export class Player extends Entity {
     takeDamage(damage) {
         if (this.iframeTimer > 0) return false;
 
+        const iframeDuration = this.modifiers.apply('iframeDuration', PLAYER_IFRAME_DURATION);
         if (this.creatorMode) {
-            this.iframeTimer = PLAYER_IFRAME_DURATION;
+            this.iframeTimer = iframeDuration;
             this.flashTimer = 0.1;
             return true;
         }
 
         super.takeDamage(damage);
-        this.iframeTimer = PLAYER_IFRAME_DURATION;
+        this.iframeTimer = iframeDuration;
         this.flashTimer = 0.1;
 
-        if (window.game && window.game.soundManager) {
-            window.game.soundManager.play('hurt_player');
-        }
+        this.events?.emit('playerDamaged', { hp: this.hp });
 
         return true;
     }
@@ -220,7 +348,47 @@ export class Player extends Entity {
         return this.iframeTimer <= 0;
     }
     
+    addModifier(modifier) {
+        this.modifiers.add(modifier);
+        
+        // Extra max HP comes filled
+        if (modifier.stat === 'maxHp') {
+            const previousMaxHp = this.maxHp;
+            this.maxHp = Math.round(this.modifiers.apply('maxHp', PLAYER_MAX_HP));
+            this.hp += this.maxHp - previousMaxHp;
+        }
+    }
+    
+    // Modifiers that wear off after `duration` seconds; picking the same power-up again refreshes it
+    addPowerUp(id, modifiers, duration) {
+        const active = this.powerUps.find(powerUp => powerUp.id === id);
+        if (active) {
+            active.timer = duration;
+            return;
+        }
+        
+        modifiers.forEach(modifier => this.modifiers.add(modifier));
+        this.powerUps.push({ id, modifiers, timer: duration });
+    }
+    
+    updatePowerUps(deltaTime) {
+        this.powerUps = this.powerUps.filter(powerUp => {
+            powerUp.timer -= deltaTime;
+            if (powerUp.timer > 0) return true;
+            powerUp.modifiers.forEach(modifier => this.modifiers.remove(modifier));
+            return false;
+        });
+    }
+    
+    heal(amount) {
+        const previousHp = this.hp;
+        this.hp = Math.min(this.maxHp, this.hp + amount);
+        return this.hp - previousHp;
+    }
+    
     setWeapon(weapon) {
+        this.weapon?.release();
+        this.weapon?.cancelReload();
         this.weapon = weapon;
         if (weapon) {
             weapon.owner = this;
@@ -233,42 +401,72 @@ export class Player extends Entity {
         }
         return false;
     }
+    
+    releaseTrigger() {
+        this.weapon?.release();
+    }
 }
 
-// Base Enemy class
+// Base Enemy class. Stats, sprites and behaviour parameters come from a JSON
+// definition (see enemies.js); subclasses only implement the behaviour.
 export class Enemy extends Entity {
-    constructor(x, y, radius, hp = 1) {
-        super(x, y, radius);
-        this.hp = hp;
-        this.maxHp = hp;
-        this.damage = 1;
-        this.color = '#FF0000'; // Default red color
-
-        // Initialize hit animation state
+    constructor(x, y, definition) {
+        super(x, y, definition.radius);
+        this.setCollisionLayer('enemy');
+        this.mass = definition.stats.mass;
+        this.definition = definition;
+        this.type = definition.id;
+        this.hp = definition.stats.hp;
+        this.maxHp = definition.stats.hp;
+        this.speed = definition.stats.speed;
+        this.damage = definition.stats.damage;
+        this.xp = definition.xp; // Experience granted for the kill
+        this.score = definition.score;
+        this.color = definition.color;
+        this.facing = 1; // -1 = left, +1 = right (for sprites with a facing pair)
+        this.steering = new Steering(definition.steering); // Movement blend (see steering.js)
+        
+        // Walk cycle
+        const walk = definition.sprites.walk;
+        this.anim = {
+            frame: 0,
+            timer: 0,
+            frameCount: walk.frames,
+            frameDuration: walk.frameDuration
+        };
+        
+        // Hit animation state
+        const hit = definition.sprites.hit;
         this.hit = {
             active: false,
             timer: 0,
-            duration: 0.25,
+            duration: hit ? hit.frames * hit.frameDuration : 0.25,
             frame: 0,
-            frameCount: 4,
-            frameDuration: 0.06
+            frameCount: hit ? hit.frames : 4,
+            frameDuration: hit ? hit.frameDuration : 0.06
         };
-
+        
+        // Brief tint after taking damage
+        this.flashTimer = 0;
+        this.isFlashing = false;
+        
         // Initialize dying state
+        const death = definition.sprites.death;
         this.isDying = false;
         this.deathTimer = 0;
-        this.deathDuration = 0.3; // Match the duration of hit animation
+        this.deathAnim = death ? { frame: 0, frameCount: death.frames, frameDuration: death.frameDuration } : null;
+        this.deathDuration = death ? death.frames * death.frameDuration : 0.3; // Match the duration of hit animation
     }
     
     update(deltaTime, player, bounds) {
         // Call parent Entity update to apply velocity to position
         super.update(deltaTime);
         // Override in subclasses for specific behavior
-
+        
         // Update hit animation
         if (this.hit.active) {
             this.hit.timer += deltaTime;
-
+            
             // Update frame if within duration
             if (this.hit.timer < this.hit.duration) {
                 const frameIndex = Math.floor(this.hit.timer / this.hit.frameDuration);
@@ -277,267 +475,155 @@ export class Enemy extends Entity {
                 this.hit.active = false; // Reset animation
             }
         }
-
+        
+        this.flashTimer -= deltaTime;
+        if (this.flashTimer <= 0) {
+            this.isFlashing = false;
+        }
+        
         if (this.isDying) {
             this.deathTimer += deltaTime;
+            if (this.deathAnim) {
+                const idx = Math.floor(this.deathTimer / this.deathAnim.frameDuration);
+                this.deathAnim.frame = Math.min(idx, this.deathAnim.frameCount - 1);
+            }
             if (this.deathTimer >= this.deathDuration) {
                 this.alive = false;
             }
         }
+        
+        // Update animation frame
+        this.anim.timer += deltaTime;
+        if (this.anim.timer >= this.anim.frameDuration) {
+            this.anim.timer = 0;
+            this.anim.frame = (this.anim.frame + 1) % this.anim.frameCount;
+        }
     }
-
+    
     takeDamage(damage) {
-        const wasAlive = this.alive;
-        const prevHp = this.hp;
         this.hp -= damage;
-
+        
         if (this.hit) {
             this.hit.active = true;
             this.hit.timer = 0;
             this.hit.frame = 0;
         }
-
+        
+        if (this.definition.flash) {
+            this.isFlashing = true;
+            this.flashTimer = this.definition.flash.duration;
+        }
+        
         // === 敌人死亡 ===
         if (this.hp <= 0 && !this.isDying) {
             this.hp = 0;
             this.isDying = true;
             this.deathTimer = 0;
-
-            // 播放死亡音效
-            if (window.game && window.game.soundManager) {
-                let soundKey = 'hurt_enemy1';
-                if (this.constructor.name === 'Tank') soundKey = 'hurt_enemy1';
-                else if (this.constructor.name === 'Assassin') soundKey = 'hurt_enemy2';
-                else if (this.constructor.name === 'Shooter') soundKey = 'hurt_enemy3';
-                window.game.soundManager.play(soundKey);
-            }
         }
     }
     
+    // Which animation plays now: death, then hit, then the walk cycle
+    getAnimation() {
+        const { sprites } = this.definition;
+        if (this.isDying && sprites.death) {
+            return { sprite: sprites.death, frame: this.deathAnim.frame };
+        }
+        if (this.hit.active && sprites.hit) {
+            return { sprite: sprites.hit, frame: this.hit.frame };
+        }
+        return { sprite: sprites.walk, frame: this.anim.frame };
+    }
+    
     render(ctx, imageLoader = null) {
         ctx.save();
         
-        // Calculate rotation angle based on velocity direction
-        const angle = Math.atan2(this.vy, this.vx);
+        const { sprite: animation, frame } = this.getAnimation();
+        const key = animation.facing
+            ? (this.facing < 0 ? animation.facing.left : animation.facing.right)
+            : animation.key;
+        const sprite = imageLoader?.getImage(key);
+        const flash = this.isFlashing ? this.definition.flash : null;
         
-        // Try to use sprite first
-        const assassinSprite = imageLoader?.getImage('assassin');
-        if (assassinSprite) {
-            // Translate to center and rotate
-            ctx.translate(this.x, this.y);
-            ctx.rotate(angle);
-            
-            // Draw sprite with size = 2 * radius
-            const size = this.radius * 2;
-            ctx.drawImage(assassinSprite, -size/2, -size/2, size, size);
-        } else {
+        if (!sprite) {
             // Fallback to geometry rendering
-            ctx.fillStyle = this.color || '#FF0000';
+            if (this.isDying) ctx.globalAlpha = 0.5;
+            ctx.fillStyle = flash?.color || this.color;
             ctx.beginPath();
             ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
             ctx.fill();
+            ctx.restore();
+            return;
+        }
+        
+        // Sprite sheets are one row of equally wide frames
+        const fw = (sprite.width / animation.frames) | 0;
+        const fh = sprite.height | 0;
+        const sx = frame * fw;
+        const dw = fw * animation.scale;
+        const dh = fh * animation.scale;
+        
+        const tint = flash || animation;
+        if (tint.alpha !== undefined) ctx.globalAlpha = tint.alpha;
+        if (tint.brightness !== undefined) ctx.filter = `brightness(${tint.brightness})`;
+        
+        if (animation.rotate) {
+            // Sprites face up; turn them along the velocity
+            ctx.translate(this.x, this.y);
+            ctx.rotate(Math.atan2(this.vy, this.vx) + Math.PI / 2);
+            ctx.drawImage(sprite, sx, 0, fw, fh, -dw/2, -dh/2, dw, dh);
+        } else {
+            ctx.drawImage(sprite, sx, 0, fw, fh, Math.round(this.x - dw/2), Math.round(this.y - dh/2), dw, dh);
         }
         
         ctx.restore();
     }
 }
 
-// Assassin enemy (implemented)
+// Chaser behaviour: runs at the player, along whatever path its steering blend picks
 export class Assassin extends Enemy {
-    constructor(x, y) {
-        super(x, y, ASSASSIN_RADIUS, 1);
-        this.speed = ASSASSIN_SPEED;
-
-        // Circular animation setup
-        this.anim = {
-            frame: 0,
-            timer: 0,
-            frameCount: 4,
-            frameDuration: 0.15
-        };
-
-        // Death animation setup
-        this.deathAnim = {
-            frame: 0,
-            frameCount: 4,
-            frameDuration: 0.08 // 4*0.08=0.32s
-        };
-        this.deathDuration = this.deathAnim.frameCount * this.deathAnim.frameDuration;
-
-    }
-    
-    update(deltaTime, player, bounds) {
+    update(deltaTime, player, bounds, projectiles, collisions) {
         if (!player.isAlive()) return;
         
-        // Move towards player
-        const dx = player.x - this.x;
-        const dy = player.y - this.y;
-        const distance = Utils.distance(this.x, this.y, player.x, player.y);
-        
-        if (distance > 0) {
-            // Normalize direction and apply speed
-            this.vx = (dx / distance) * this.speed;
-            this.vy = (dy / distance) * this.speed;
-        }
+        this.steering.steer(this, player, collisions, this.speed, deltaTime);
         
         // Call parent update to apply velocity
         super.update(deltaTime, player, bounds);
-
+        
         if (this.isDying) {
             this.vx = 0; this.vy = 0;
-
-            const idx = Math.floor(this.deathTimer / this.deathAnim.frameDuration);
-            this.deathAnim.frame = Math.min(idx, this.deathAnim.frameCount - 1);
         }
         
-        // Keep within bounds
-        this.x = Utils.clamp(this.x, this.radius, bounds.width - this.radius);
-        this.y = Utils.clamp(this.y, this.radius, bounds.height - this.radius);
-
-        // Update animation frame
-        this.anim.timer += deltaTime;
-        if (this.anim.timer >= this.anim.frameDuration) {
-            this.anim.timer = 0;
-            this.anim.frame = (this.anim.frame + 1) % this.anim.frameCount;
-        }
-    }
-    
-    render(ctx, imageLoader = null) {
-        ctx.save();
-
-        if (this.isDying) {
-            // 绘制死亡动画
-            const sprite = imageLoader?.getImage('assassin_death');
-            if (sprite) {
-            const frames = this.deathAnim.frameCount;
-            const fw = (sprite.width / frames) | 0;
-            const fh = sprite.height | 0;
-            const sx = this.deathAnim.frame * fw;
-            const sy = 0;
-            const scale = 3; // 和生前大小一致
-            const dw = fw * scale;
-            const dh = fh * scale;
-            ctx.drawImage(sprite, sx, sy, fw, fh, Math.round(this.x - dw/2), Math.round(this.y - dh/2), dw, dh);
-            } else {
-            // 没有贴图就简单画个渐隐圆（可省略）
-            ctx.globalAlpha = 0.5;
-            ctx.fillStyle = '#FF0000';
-            ctx.beginPath(); ctx.arc(this.x, this.y, this.radius, 0, Math.PI*2); ctx.fill();
-            }
-            ctx.restore();
-            return;
-        }
-
-        // ======= 正常行走动画（你已有的逻辑）=======
-        const sprite = imageLoader?.getImage('assassin');
-        if (!sprite) {
-            ctx.fillStyle = '#FF0000';
-            ctx.beginPath(); ctx.arc(this.x, this.y, this.radius, 0, Math.PI*2); ctx.fill();
-            ctx.restore(); return;
-        }
-
-        const fw = sprite.width / this.anim.frameCount;
-        const fh = sprite.height;
-        const sx = fw * this.anim.frame;
-        const sy = 0;
-
-        const angle = Math.atan2(this.vy, this.vx);
-        ctx.translate(this.x, this.y);
-        ctx.rotate(angle + Math.PI / 2);
-
-        const scale = 3;
-        const dw = fw * scale;
-        const dh = fh * scale;
-        ctx.drawImage(sprite, sx, sy, fw, fh, -dw/2, -dh/2, dw, dh);
-
-        ctx.restore();
+        this.keepInBounds(bounds);
     }
 }
 
-// Shooter enemy
+// Gunner behaviour: keeps moving as its steering blend says (e.g. circling at range)
+// and fires at the player on an interval
 export class Shooter extends Enemy {
-    constructor(x, y) {
-        super(x, y, SHOOTER_RADIUS, 1);
-        this.speed = SHOOTER_SPEED;
-        this.moveTimer = 0;
+    constructor(x, y, definition) {
+        super(x, y, definition);
+        this.attack = definition.attack;
         this.fireTimer = 0;
-        this.isMoving = true;
-        this.centerX = 0; // Will be set when bounds are available
-        this.centerY = 0;
-
-        this.anim = {
-            frame: 0,
-            timer: 0,
-            frameCount: 5,
-            frameDuration: 0.12
-        };
-
-        // Towards：-1=left, +1=right
-        this.facing = 1;
-
-        // hitted animation
-        this.hit.frameCount = 4;
-        this.hit.frameDuration = 0.06;
-        this.hit.duration = this.hit.frameCount * this.hit.frameDuration; // 播完一遍
-
     }
     
-    update(deltaTime, player, bounds, projectiles) {
+    update(deltaTime, player, bounds, projectiles, collisions) {
         if (!player.isAlive()) return;
         
-        // Set center coordinates if not set
-        if (this.centerX === 0 && this.centerY === 0) {
-            this.centerX = bounds.width / 2;
-            this.centerY = bounds.height / 2;
-        }
-        
-        this.moveTimer += deltaTime;
         this.fireTimer += deltaTime;
+        this.steering.steer(this, player, collisions, this.speed, deltaTime);
         
-        // Move toward center for first 2 seconds
-        if (this.isMoving && this.moveTimer < SHOOTER_MOVE_DURATION) {
-            const dx = this.centerX - this.x;
-            const dy = this.centerY - this.y;
-            const distance = Utils.distance(this.x, this.y, this.centerX, this.centerY);
-            
-            if (distance > 5) { // Small threshold to avoid jittering
-                const normalized = Utils.normalize(dx, dy);
-                this.vx = normalized.x * this.speed;
-                this.vy = normalized.y * this.speed;
-            } else {
-                this.vx = 0;
-                this.vy = 0;
-                this.isMoving = false;
-            }
-        } else {
-            // Stop moving after 2 seconds
-            this.isMoving = false;
-            this.vx = 0;
-            this.vy = 0;
-        }
-        
-        // Fire at player every 2 seconds
-        if (this.fireTimer >= SHOOTER_FIRE_RATE) {
+        // Fire at player
+        if (this.fireTimer >= this.attack.fireInterval) {
             this.fireAtPlayer(player, projectiles);
             this.fireTimer = 0;
         }
         
         super.update(deltaTime, player, bounds);
         
-        // Keep in bounds
-        this.x = Utils.clamp(this.x, this.radius, bounds.width - this.radius);
-        this.y = Utils.clamp(this.y, this.radius, bounds.height - this.radius);
-
+        this.keepInBounds(bounds);
+        
         // Update facing direction
         this.facing = (player && player.x < this.x) ? -1 : 1;
-
-        // Update animation frame
-        this.anim.timer += deltaTime;
-        if (this.anim.timer >= this.anim.frameDuration) {
-            this.anim.timer = 0;
-            this.anim.frame = (this.anim.frame + 1) % this.anim.frameCount;
-        }
-
     }
     
     fireAtPlayer(player, projectiles) {
@@ -546,146 +632,54 @@ export class Shooter extends Enemy {
         const dy = player.y - this.y;
         const baseAngle = Math.atan2(dy, dx);
         
-        // Add random spread (±4 degrees)
-        const spreadRadians = (SHOOTER_SPREAD_ANGLE * Math.PI / 180);
-        const randomSpread = (Math.random() - 0.5) * 2 * spreadRadians;
+        // Add random spread
+        const spreadRadians = (this.attack.spread * Math.PI / 180);
+        const randomSpread = RNG.stream(RNG_STREAMS.WEAPON_SPREAD).range(-spreadRadians, spreadRadians);
         const finalAngle = baseAngle + randomSpread;
         
         // Create bullet
-        const bulletVx = Math.cos(finalAngle) * SHOOTER_BULLET_SPEED;
-        const bulletVy = Math.sin(finalAngle) * SHOOTER_BULLET_SPEED;
+        const bulletVx = Math.cos(finalAngle) * this.attack.bulletSpeed;
+        const bulletVy = Math.sin(finalAngle) * this.attack.bulletSpeed;
         
         const bullet = new ShooterBullet(
             this.x, this.y, 
             bulletVx, bulletVy, 
-            SHOOTER_BULLET_RADIUS, 
-            1, // damage
-            '#FF3B30', // red color
-            this
+            this.attack.bulletRadius, 
+            this.damage,
+            this.attack.bulletColor,
+            'enemyProjectile'
         );
+        bullet.lifetime = this.attack.bulletLifetime;
+        bullet.spriteKey = this.attack.bulletSprite;
         
         projectiles.push(bullet);
     }
-    
-    render(ctx, imageLoader = null, player = null) {
-        ctx.save();
-
-        const facingLeft = (this.facing < 0);
-
-        const useHit = this.hit.active;
-
-        let baseKey = facingLeft ? 'shooter_left' : 'shooter_right';
-        let hitKey  = facingLeft ? 'shooter_hit_left' : 'shooter_hit_right';
-        const sprite = imageLoader?.getImage(useHit ? hitKey : baseKey);
-
-        if (!sprite) {
-            ctx.fillStyle = '#FF8800';
-            ctx.beginPath();
-            ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.restore();
-            return;
-        }
-
-        const frames = useHit ? this.hit.frameCount : this.anim.frameCount;
-        const frameIndex = useHit ? this.hit.frame : this.anim.frame;
-
-        const fw = (sprite.width / frames) | 0;
-        const fh = sprite.height | 0;
-        const sx = frameIndex * fw;
-        const sy = 0;
-
-        const scale = 4; // Size
-        const dw = fw * scale;
-        const dh = fh * scale;
-        const dx = Math.round(this.x - dw / 2);
-        const dy = Math.round(this.y - dh / 2);
-
-        if (useHit) {
-            ctx.globalAlpha = 0.95;
-            ctx.filter = 'brightness(1.2)';
-        }
-
-        ctx.drawImage(sprite, sx, sy, fw, fh, dx, dy, dw, dh);
-
-        if (useHit) {
-            ctx.filter = 'none';
-            ctx.globalAlpha = 1.0;
-        }
-
-        ctx.restore();
-        }
-
 }
 
-// Tank enemy
+// Bruiser behaviour: slow pursuit, contact damage with knockback
 export class Tank extends Enemy {
-    constructor(x, y) {
-        super(x, y, TANK_RADIUS, TANK_HP);
-        this.speed = TANK_SPEED;
+    constructor(x, y, definition) {
+        super(x, y, definition);
+        this.contact = definition.contact;
         this.contactCooldown = 0;
-        this.flashTimer = 0;
-        this.isFlashing = false;
         this.lastContactTime = 0;
-
-        this.anim = {
-            frame: 0,
-            timer: 0,
-            frameCount: 6,
-            frameDuration: 0.2
-        };
-
-        this.deathAnim = {
-            frame: 0,
-            frameCount: 8,
-            frameDuration: 0.08 // 8*0.08=0.64s
-        };
-        this.deathDuration = this.deathAnim.frameCount * this.deathAnim.frameDuration;
-
     }
     
-    update(deltaTime, player, bounds) {
+    update(deltaTime, player, bounds, projectiles, collisions) {
         if (!player.isAlive()) return;
         
         this.contactCooldown -= deltaTime;
-        this.flashTimer -= deltaTime;
-        
-        if (this.flashTimer <= 0) {
-            this.isFlashing = false;
-        }
-        
-        // Move towards player (slow pursuit)
-        const dx = player.x - this.x;
-        const dy = player.y - this.y;
-        const distance = Utils.distance(this.x, this.y, player.x, player.y);
         
-        if (distance > 0) {
-            const normalized = Utils.normalize(dx, dy);
-            this.vx = normalized.x * this.speed;
-            this.vy = normalized.y * this.speed;
-        } else {
-            this.vx = 0;
-            this.vy = 0;
-        }
+        // Slow pursuit
+        this.steering.steer(this, player, collisions, this.speed, deltaTime);
         
         super.update(deltaTime, player, bounds);
-
+        
         if (this.isDying) {
             this.vx = 0; this.vy = 0;
-            const idx = Math.floor(this.deathTimer / this.deathAnim.frameDuration);
-            this.deathAnim.frame = Math.min(idx, this.deathAnim.frameCount - 1);
         }
         
-        // Keep in bounds
-        this.x = Utils.clamp(this.x, this.radius, bounds.width - this.radius);
-        this.y = Utils.clamp(this.y, this.radius, bounds.height - this.radius);
-        
-        // Update animation frame
-        this.anim.timer += deltaTime;
-        if (this.anim.timer >= this.anim.frameDuration) {
-            this.anim.timer = 0;
-            this.anim.frame = (this.anim.frame + 1) % this.anim.frameCount;
-        }
+        this.keepInBounds(bounds);
         
         // Check for contact damage
         if (this.contactCooldown <= 0 && player.canTakeDamage()) {
@@ -697,121 +691,115 @@ export class Tank extends Enemy {
     }
     
     dealContactDamage(player) {
-        player.takeDamage(1);
-        this.contactCooldown = TANK_CONTACT_COOLDOWN;
-        
-        // Apply knockback to player
-        const dx = player.x - this.x;
-        const dy = player.y - this.y;
-        const distance = Utils.distance(this.x, this.y, player.x, player.y);
-        
-        if (distance > 0) {
-            const normalized = Utils.normalize(dx, dy);
-            player.x += normalized.x * TANK_KNOCKBACK;
-            player.y += normalized.y * TANK_KNOCKBACK;
-        }
-    }
-    
-    takeDamage(damage) {
-        super.takeDamage(damage);
+        player.takeDamage(this.damage);
+        this.contactCooldown = this.contact.cooldown;
         
-        // Flash white when hit
-        this.isFlashing = true;
-        this.flashTimer = TANK_FLASH_DURATION;
+        // Shove the player away
+        const normalized = Utils.normalize(player.x - this.x, player.y - this.y);
+        player.applyImpulse(normalized.x * this.contact.knockback, normalized.y * this.contact.knockback);
     }
-    
-    render(ctx, imageLoader = null) {
-        ctx.save();
-
-        if (this.isDying) {
-            const sprite = imageLoader?.getImage('tank_death');
-            if (sprite) {
-                const frames = this.deathAnim.frameCount;
-                const fw = (sprite.width / frames) | 0;
-                const fh = sprite.height | 0;
-                const sx = this.deathAnim.frame * fw;
-                const sy = 0;
-                const scale = 3.5;
-                const dw = fw * scale;
-                const dh = fh * scale;
-                ctx.drawImage(sprite, sx, sy, fw, fh, Math.round(this.x - dw/2), Math.round(this.y - dh/2), dw, dh);
-            } else {
-                ctx.globalAlpha = 0.5;
-                ctx.fillStyle = '#880000';
-                ctx.beginPath(); ctx.arc(this.x, this.y, this.radius, 0, Math.PI*2); ctx.fill();
-            }
-            ctx.restore();
-            return;
-        }
-
-        const sprite = imageLoader?.getImage('tank');
-        if (!sprite) {
-            ctx.fillStyle = this.isFlashing ? '#FFFFFF' : '#880000';
-            ctx.beginPath(); ctx.arc(this.x, this.y, this.radius, 0, Math.PI*2); ctx.fill();
-            ctx.restore(); return;
-        }
-
-        const fw = sprite.width / this.anim.frameCount;
-        const fh = sprite.height;
-        const sx = this.anim.frame * fw;
-        const sy = 0;
-
-        const angle = Math.atan2(this.vy, this.vx);
-        ctx.translate(this.x, this.y);
-        ctx.rotate(angle + Math.PI / 2);
-
-        const scale = 3.5;
-        const dw = fw * scale;
-        const dh = fh * scale;
-
-        if (this.isFlashing) {
-            ctx.globalAlpha = 0.6;
-            ctx.filter = 'brightness(1.8)';
-        }
-
-        ctx.drawImage(sprite, sx, sy, fw, fh, -dw/2, -dh/2, dw, dh);
-        ctx.restore();
-        }
-
 }
 
 // Base Weapon class
+// Fire-rate models: 'interval' fires whenever the cooldown allows, 'spinUp' fires faster
+// the longer the trigger is held, 'charge' needs the trigger held for a charge time first.
 export class Weapon {
-    constructor(fireRate, ammo = -1) {
+    constructor(fireRate, magazineSize, reserveAmmo, reloadTime, clock) {
         this.fireRate = fireRate; // seconds between shots
-        this.ammo = ammo; // -1 for infinite
-        this.currentAmmo = ammo;
-        this.lastFireTime = 0;
+        this.magazineSize = magazineSize;
+        this.currentAmmo = magazineSize; // Rounds in the magazine
+        this.maxReserve = reserveAmmo; // Infinity for a sidearm that never runs dry
+        this.reserveAmmo = reserveAmmo; // Rounds carried beyond the magazine
+        this.reloadTime = reloadTime; // seconds
+        this.reloadStart = null; // World time the current reload began
+        this.clock = clock; // GameClock owned by Game; cooldowns run on world time
+        this.lastFireTime = -Infinity;
         this.owner = null;
+        this.name = 'Weapon';
+        this.sound = 'shoot_pistol'; // Sound key played on each shot
+        this.icon = null; // HUD image key
+        this.ammoType = 'none';
+        this.fireModel = 'interval';
     }
     
     update(deltaTime) {
-        // Override in subclasses if needed
+        // A finished reload tops the magazine up from the reserve
+        if (this.isReloading() && this.getReloadProgress() >= 1) {
+            const loaded = Math.min(this.magazineSize - this.currentAmmo, this.reserveAmmo);
+            this.currentAmmo += loaded;
+            this.reserveAmmo -= loaded;
+            this.reloadStart = null;
+        }
+    }
+    
+    // Stat after the owner's upgrades, e.g. getStat('damage', 1)
+    getStat(stat, base) {
+        return this.owner?.modifiers ? this.owner.modifiers.apply(stat, base) : base;
+    }
+    
+    getFireInterval() {
+        return this.getStat('fireInterval', this.fireRate);
     }
     
     canFire() {
-        const now = Date.now() / 1000;
-        const timeSinceLastFire = now - this.lastFireTime;
-        return timeSinceLastFire >= this.fireRate && 
-               (this.ammo === -1 || this.currentAmmo > 0);
+        const timeSinceLastFire = this.clock.now() - this.lastFireTime;
+        return timeSinceLastFire >= this.getFireInterval() && 
+               this.currentAmmo > 0 && !this.isReloading();
     }
     
+    // Called every step the trigger is held
     fire(fromX, fromY, targetX, targetY, projectiles) {
         if (!this.canFire()) return false;
         
-        const projectile = this.createProjectile(fromX, fromY, targetX, targetY);
-        if (projectile) {
-            projectiles.push(projectile);
-            this.lastFireTime = Date.now() / 1000;
-            
-            if (this.ammo > 0) {
-                this.currentAmmo--;
-            }
+        // Extra projectiles fan out evenly around the aim direction
+        const count = Math.max(1, Math.round(this.getStat('projectileCount', 1)));
+        const aimAngle = Math.atan2(targetY - fromY, targetX - fromX);
+        const aimDistance = Utils.distance(fromX, fromY, targetX, targetY);
+        let fired = false;
+        
+        for (let i = 0; i < count; i++) {
+            const offset = (i - (count - 1) / 2) * MULTISHOT_SPREAD_ANGLE * Math.PI / 180;
+            const angle = aimAngle + offset;
+            const shots = offset === 0
+                ? this.createProjectiles(fromX, fromY, targetX, targetY)
+                : this.createProjectiles(fromX, fromY, fromX + Math.cos(angle) * aimDistance, fromY + Math.sin(angle) * aimDistance);
             
-            return true;
+            shots.forEach(projectile => {
+                projectile.damage = this.getStat('damage', projectile.damage);
+                projectile.pierce = Math.round(this.getStat('pierce', projectile.pierce));
+                projectile.knockback = this.getStat('knockback', projectile.knockback);
+                projectiles.push(projectile);
+                fired = true;
+            });
         }
         
-        return false;
+        if (fired) {
+            this.lastFireTime = this.clock.now();
+            this.currentAmmo--;
+        }
+        
+        return fired;
+    }
+    
+    // Called every step the trigger is not held (cancels charges, spins down)
+    release() {
+        // Override in subclasses if needed
+    }
+    
+    // 0..1 while charging, for the aim indicator
+    getChargeProgress() {
+        return 0;
+    }
+    
+    // 0..1 from the last shot to ready again, for the HUD
+    getCooldownProgress() {
+        return Math.min(1, (this.clock.now() - this.lastFireTime) / this.getFireInterval());
+    }
+    
+    // One shot's worth of projectiles
+    createProjectiles(fromX, fromY, targetX, targetY) {
+        const projectile = this.createProjectile(fromX, fromY, targetX, targetY);
+        return projectile ? [projectile] : [];
     }
     
     createProjectile(fromX, fromY, targetX, targetY) {
@@ -819,21 +807,60 @@ export class Weapon {
         return null;
     }
     
+    // Start refilling the magazine from the reserve; false if reloading, full or out of reserve
+    startReload() {
+        if (this.isReloading() || this.currentAmmo >= this.magazineSize || this.reserveAmmo <= 0) return false;
+        this.release();
+        this.reloadStart = this.clock.now();
+        return true;
+    }
+    
+    // Holstering abandons a reload; the rounds stay in the reserve
+    cancelReload() {
+        this.reloadStart = null;
+    }
+    
+    isReloading() {
+        return this.reloadStart !== null;
+    }
+    
+    getReloadDuration() {
+        return this.getStat('reloadTime', this.reloadTime);
+    }
+    
+    // 0..1 through the current reload, for the HUD
+    getReloadProgress() {
+        if (!this.isReloading()) return 0;
+        return Math.min(1, (this.clock.now() - this.reloadStart) / this.getReloadDuration());
+    }
+    
+    isMagazineEmpty() {
+        return this.currentAmmo <= 0;
+    }
+    
+    isOutOfAmmo() {
+        return this.currentAmmo <= 0 && this.reserveAmmo <= 0;
+    }
+    
     getAmmoDisplay() {
-        return this.ammo === -1 ? '∞' : this.currentAmmo.toString();
+        const reserve = this.reserveAmmo === Infinity ? '∞' : this.reserveAmmo;
+        return `${this.currentAmmo}/${reserve}`;
     }
     
-    reload() {
-        if (this.ammo > 0) {
-            this.currentAmmo = this.ammo;
-        }
+    // Ammo pickups: full magazine and reserve
+    refill() {
+        this.reloadStart = null;
+        this.currentAmmo = this.magazineSize;
+        this.reserveAmmo = this.maxReserve;
     }
 }
 
 // Pistol weapon (implemented)
 export class Pistol extends Weapon {
-    constructor() {
-        super(PISTOL_FIRE_RATE, -1); // 1 second fire rate, infinite ammo
+    constructor(clock) {
+        super(PISTOL_FIRE_RATE, PISTOL_MAGAZINE, Infinity, PISTOL_RELOAD_TIME, clock); // Infinite reserve, still reloads
+        this.name = 'Pistol';
+        this.icon = 'ui_weapon_pistol';
     }
     
     createProjectile(fromX, fromY, targetX, targetY) {
@@ -845,29 +872,47 @@ export class Pistol extends Weapon {
         
         const normalized = Utils.normalize(dx, dy);
         
-        return new Projectile(
+        const bullet = new Projectile(
             fromX, fromY,
             normalized.x * BULLET_SPEED,
             normalized.y * BULLET_SPEED,
             BULLET_RADIUS,
             1, // damage
             '#FFFF00', // color
-            'player'
+            'playerProjectile'
         );
+        bullet.knockback = PISTOL_KNOCKBACK;
+        return bullet;
     }
 }
 
-// Machine Gun weapon
+// Machine Gun weapon: spins up from its base fire rate while the trigger is held
 export class MachineGun extends Weapon {
-    constructor() {
-        super(MACHINE_GUN_FIRE_RATE, MACHINE_GUN_AMMO);
+    constructor(clock) {
+        super(MACHINE_GUN_FIRE_RATE, MACHINE_GUN_MAGAZINE, MACHINE_GUN_RESERVE, MACHINE_GUN_RELOAD_TIME, clock);
+        this.name = 'Machine Gun';
+        this.icon = 'ui_weapon_mg';
+        this.ammoType = 'bullets';
+        this.fireModel = 'spinUp';
+        this.spinStart = null; // World time the trigger was pulled
     }
     
-    canFire() {
-        const now = Date.now() / 1000;
-        const canFireByTime = (now - this.lastFireTime) >= this.fireRate;
-        const hasAmmo = this.currentAmmo > 0;
-        return canFireByTime && hasAmmo;
+    getFireInterval() {
+        const spin = this.spinStart === null
+            ? 0
+            : Math.min(1, (this.clock.now() - this.spinStart) / MACHINE_GUN_SPIN_UP_TIME);
+        return this.getStat('fireInterval', Utils.lerp(MACHINE_GUN_FIRE_RATE, MACHINE_GUN_SPUN_FIRE_RATE, spin));
+    }
+    
+    fire(fromX, fromY, targetX, targetY, projectiles) {
+        if (this.spinStart === null) {
+            this.spinStart = this.clock.now();
+        }
+        return super.fire(fromX, fromY, targetX, targetY, projectiles);
+    }
+    
+    release() {
+        this.spinStart = null;
     }
     
     createProjectile(fromX, fromY, targetX, targetY) {
@@ -882,35 +927,159 @@ export class MachineGun extends Weapon {
         const vx = (dx / distance) * BULLET_SPEED;
         const vy = (dy / distance) * BULLET_SPEED;
         
-        return new Projectile(
+        const bullet = new Projectile(
             fromX, fromY,
             vx, vy,
             BULLET_RADIUS,
             1, // damage
             '#4A90E2', // blue color to distinguish from pistol
-            'player'
+            'playerProjectile'
         );
+        bullet.knockback = MACHINE_GUN_KNOCKBACK;
+        return bullet;
+    }
+}
+
+// Shotgun: a spread of pellets that lose damage with distance
+export class Shotgun extends Weapon {
+    constructor(clock) {
+        super(SHOTGUN_FIRE_RATE, SHOTGUN_MAGAZINE, SHOTGUN_RESERVE, SHOTGUN_RELOAD_TIME, clock);
+        this.name = 'Shotgun';
+        this.icon = 'ui_weapon_shotgun';
+        this.sound = 'shoot_shotgun';
+        this.ammoType = 'shells';
     }
     
-    getAmmoDisplay() {
-        return this.currentAmmo.toString();
+    createProjectiles(fromX, fromY, targetX, targetY) {
+        if (fromX === targetX && fromY === targetY) return [];
+        
+        const aimAngle = Math.atan2(targetY - fromY, targetX - fromX);
+        const spread = SHOTGUN_SPREAD_ANGLE * Math.PI / 180;
+        const random = RNG.stream(RNG_STREAMS.WEAPON_SPREAD);
+        const pellets = [];
+        
+        for (let i = 0; i < SHOTGUN_PELLETS; i++) {
+            // Even fan with a little jitter so blasts don't look identical
+            const angle = aimAngle + (i / (SHOTGUN_PELLETS - 1) - 0.5) * spread + random.range(-0.03, 0.03);
+            pellets.push(new Pellet(
+                fromX, fromY,
+                Math.cos(angle) * SHOTGUN_PELLET_SPEED,
+                Math.sin(angle) * SHOTGUN_PELLET_SPEED,
+                SHOTGUN_PELLET_DAMAGE
+            ));
+        }
+        return pellets;
+    }
+}
+
+// Railgun: hold the trigger to charge, then an instant beam pierces everything on its line
+export class Railgun extends Weapon {
+    constructor(clock) {
+        super(RAILGUN_FIRE_RATE, RAILGUN_MAGAZINE, RAILGUN_RESERVE, RAILGUN_RELOAD_TIME, clock);
+        this.name = 'Railgun';
+        this.icon = 'ui_weapon_railgun';
+        this.sound = 'shoot_railgun';
+        this.ammoType = 'cells';
+        this.fireModel = 'charge';
+        this.chargeStart = null; // World time charging began
+    }
+    
+    fire(fromX, fromY, targetX, targetY, projectiles) {
+        if (this.chargeStart === null) {
+            if (!this.canFire()) return false;
+            this.chargeStart = this.clock.now();
+        }
+        if (this.getChargeProgress() < 1) return false;
+        
+        this.chargeStart = null;
+        return super.fire(fromX, fromY, targetX, targetY, projectiles);
+    }
+    
+    // Letting go early wastes the charge
+    release() {
+        this.chargeStart = null;
+    }
+    
+    getChargeProgress() {
+        if (this.chargeStart === null) return 0;
+        return Math.min(1, (this.clock.now() - this.chargeStart) / RAILGUN_CHARGE_TIME);
+    }
+    
+    createProjectile(fromX, fromY, targetX, targetY) {
+        if (fromX === targetX && fromY === targetY) return null;
+        
+        const angle = Math.atan2(targetY - fromY, targetX - fromX);
+        return new Beam(fromX, fromY, angle, RAILGUN_DAMAGE);
+    }
+}
+
+// Grenade launcher: shells fly to the cursor and burst for radial damage
+export class GrenadeLauncher extends Weapon {
+    constructor(clock) {
+        super(GRENADE_FIRE_RATE, GRENADE_MAGAZINE, GRENADE_RESERVE, GRENADE_RELOAD_TIME, clock);
+        this.name = 'Grenade Launcher';
+        this.icon = 'ui_weapon_grenade';
+        this.sound = 'shoot_grenade';
+        this.ammoType = 'grenades';
+    }
+    
+    createProjectile(fromX, fromY, targetX, targetY) {
+        if (fromX === targetX && fromY === targetY) return null;
+        return new Grenade(fromX, fromY, targetX, targetY, GRENADE_DAMAGE);
     }
 }
 
 // Base Projectile class
 export class Projectile extends Entity {
-    constructor(x, y, vx, vy, radius, damage, color, owner) {
+    constructor(x, y, vx, vy, radius, damage, color, layer) {
         super(x, y, radius);
+        this.setCollisionLayer(layer); // 'playerProjectile' or 'enemyProjectile'
         this.vx = vx;
         this.vy = vy;
         this.damage = damage;
         this.color = color;
-        this.owner = owner;
         this.lifetime = 3.0; // seconds
         this.age = 0;
+        this.pierce = 0; // Extra enemies this projectile passes through
+        this.knockback = 0; // Impulse given to whatever it hits (mass x pt/s)
+        this.hitTargets = new Set(); // Enemies already hit, so a piercing shot hits each once
+        this.spriteKey = null; // Image key, if not derived from the layer
+        this.spawns = []; // Projectiles this one created (e.g. a blast); the simulation adds them
+        this.startX = x; // Position at the start of the step; collisions sweep from here
+        this.startY = y;
+    }
+    
+    // Entities in `collisions` this step's path touches, as [{ entity, time }] earliest first
+    // (time is the 0..1 fraction of the path), so even fast shots cannot skip past a target
+    findHits(collisions) {
+        return collisions.querySweep(this.startX, this.startY, this.x, this.y, this.radius);
+    }
+    
+    // Damage dealt to `target`; falloff weapons override
+    getDamage(target) {
+        return this.damage;
+    }
+    
+    // Impulse given to `target` as { x, y }: along the flight path unless overridden
+    getKnockback(target) {
+        const direction = Utils.normalize(this.vx, this.vy);
+        return { x: direction.x * this.knockback, y: direction.y * this.knockback };
+    }
+    
+    // Called on each hit; returns whether the projectile keeps going
+    registerHit(target) {
+        this.hitTargets.add(target);
+        if (this.pierce > 0) {
+            this.pierce--;
+            return true;
+        }
+        this.alive = false;
+        return false;
     }
     
     update(deltaTime, bounds) {
+        this.startX = this.x;
+        this.startY = this.y;
         super.update(deltaTime);
         this.age += deltaTime;
         
@@ -927,13 +1096,11 @@ export class Projectile extends Entity {
         
         // Try sprite rendering first
         if (imageLoader) {
-            let spriteKey = null;
+            let spriteKey = this.spriteKey;
             
-            // Determine sprite based on owner and color
-            if (this.owner === 'player') {
-                spriteKey = 'bullet_player';
-            } else if (this.owner === 'shooter' || this.color === '#FF3B30') {
-                spriteKey = 'bullet_shooter';
+            // Otherwise the side that fired it decides
+            if (!spriteKey) {
+                spriteKey = this.layer === COLLISION_LAYERS.playerProjectile ? 'bullet_player' : 'bullet_shooter';
             }
             
             if (spriteKey) {
@@ -962,26 +1129,337 @@ export class Projectile extends Entity {
     }
 }
 
-// Enemy Registry
-export const ENEMY_REGISTRY = {
-    'assassin': Assassin,
-    'shooter': Shooter,
-    'tank': Tank
-};
+// Shotgun pellet: full damage up close, falling off linearly to a fraction at range
+export class Pellet extends Projectile {
+    constructor(x, y, vx, vy, damage) {
+        super(x, y, vx, vy, SHOTGUN_PELLET_RADIUS, damage, '#FFB347', 'playerProjectile');
+        this.originX = x;
+        this.originY = y;
+        this.lifetime = SHOTGUN_PELLET_LIFETIME;
+        this.knockback = SHOTGUN_PELLET_KNOCKBACK;
+    }
+    
+    getDamage(target) {
+        const travelled = Utils.distance(this.originX, this.originY, this.x, this.y);
+        const falloff = Utils.clamp((travelled - SHOTGUN_FALLOFF_START) / (SHOTGUN_FALLOFF_END - SHOTGUN_FALLOFF_START), 0, 1);
+        return this.damage * Utils.lerp(1, SHOTGUN_FALLOFF_MIN, falloff);
+    }
+}
+
+// Hits everything it touches on its first collision pass, then only lingers as an effect
+export class InstantHit extends Projectile {
+    constructor(x, y, radius, damage, color, lifetime) {
+        super(x, y, 0, 0, radius, damage, color, 'playerProjectile');
+        this.lifetime = lifetime;
+        this.pierce = Infinity;
+        this.armed = true;
+    }
+    
+    update(deltaTime, bounds) {
+        // Collisions run after updates, so the first step's pass is the only armed one
+        if (this.age > 0) {
+            this.armed = false;
+        }
+        this.age += deltaTime;
+        if (this.age >= this.lifetime) {
+            this.alive = false;
+        }
+    }
+    
+    findHits(collisions) {
+        if (!this.armed) return [];
+        
+        const { left, top, right, bottom } = this.getBounds();
+        return collisions.queryRect(left, top, right - left, bottom - top)
+            .filter(entity => this.touches(entity))
+            .map(entity => ({ entity, time: 0 }));
+    }
+    
+    touches(entity) {
+        return CollisionSystem.checkCircleCollision(this, entity);
+    }
+}
+
+// Railgun beam from the muzzle to the arena edge
+export class Beam extends InstantHit {
+    constructor(x, y, angle, damage) {
+        super(x, y, RAILGUN_BEAM_WIDTH / 2, damage, '#66CCFF', RAILGUN_BEAM_FADE);
+        this.dirX = Math.cos(angle);
+        this.dirY = Math.sin(angle);
+        this.knockback = RAILGUN_KNOCKBACK;
+    }
+    
+    getKnockback(target) {
+        return { x: this.dirX * this.knockback, y: this.dirY * this.knockback };
+    }
+    
+    // Circle vs segment, with the segment long enough to leave any arena
+    touches(entity) {
+        const dx = entity.x - this.x;
+        const dy = entity.y - this.y;
+        const along = Utils.clamp(dx * this.dirX + dy * this.dirY, 0, RAILGUN_RANGE);
+        const closestX = this.x + this.dirX * along;
+        const closestY = this.y + this.dirY * along;
+        return Utils.distance(closestX, closestY, entity.x, entity.y) < entity.radius + this.radius;
+    }
+    
+    getBounds() {
+        const endX = this.x + this.dirX * RAILGUN_RANGE;
+        const endY = this.y + this.dirY * RAILGUN_RANGE;
+        return {
+            left: Math.min(this.x, endX) - this.radius,
+            right: Math.max(this.x, endX) + this.radius,
+            top: Math.min(this.y, endY) - this.radius,
+            bottom: Math.max(this.y, endY) + this.radius
+        };
+    }
+    
+    render(ctx) {
+        ctx.save();
+        ctx.globalAlpha = 1 - this.age / this.lifetime;
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = this.radius * 2;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(this.x, this.y);
+        ctx.lineTo(this.x + this.dirX * RAILGUN_RANGE, this.y + this.dirY * RAILGUN_RANGE);
+        ctx.stroke();
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = this.radius * 0.6;
+        ctx.stroke();
+        ctx.restore();
+    }
+}
+
+// Grenade blast: damage falls off from the centre to the edge
+export class Explosion extends InstantHit {
+    constructor(x, y, damage) {
+        super(x, y, GRENADE_BLAST_RADIUS, damage, '#FF8C1A', GRENADE_BLAST_FADE);
+        this.knockback = GRENADE_BLAST_KNOCKBACK;
+    }
+    
+    // 1 at the centre down to GRENADE_BLAST_EDGE_DAMAGE at the edge
+    getFalloff(target) {
+        const distance = Utils.distance(this.x, this.y, target.x, target.y);
+        return Utils.lerp(1, GRENADE_BLAST_EDGE_DAMAGE, Utils.clamp(distance / this.radius, 0, 1));
+    }
+    
+    getDamage(target) {
+        return this.damage * this.getFalloff(target);
+    }
+    
+    // Outwards from the centre
+    getKnockback(target) {
+        const direction = Utils.normalize(target.x - this.x, target.y - this.y);
+        const knockback = this.knockback * this.getFalloff(target);
+        return { x: direction.x * knockback, y: direction.y * knockback };
+    }
+    
+    render(ctx) {
+        const progress = this.age / this.lifetime;
+        
+        ctx.save();
+        ctx.globalAlpha = 1 - progress;
+        ctx.fillStyle = this.color;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius * (0.6 + 0.4 * progress), 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#FFF3B0';
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius * 0.35 * (1 - progress), 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+    }
+}
+
+// Grenade shell: flies to its target point (or the first enemy it touches) and explodes there
+export class Grenade extends Projectile {
+    constructor(x, y, targetX, targetY, damage) {
+        const distance = Utils.distance(x, y, targetX, targetY);
+        const direction = Utils.normalize(targetX - x, targetY - y);
+        super(x, y, direction.x * GRENADE_SPEED, direction.y * GRENADE_SPEED, GRENADE_RADIUS, damage, '#6B8E23', 'playerProjectile');
+        this.lifetime = distance / GRENADE_SPEED;
+        this.detonated = false;
+    }
+    
+    update(deltaTime, bounds) {
+        super.update(deltaTime, bounds);
+        if (!this.alive) {
+            this.detonate();
+        }
+    }
+    
+    // Shells burst where they first touch an enemy instead of hitting directly; the player
+    // and pickups in the broadphase are flown over
+    findHits(collisions) {
+        const first = super.findHits(collisions).find(({ entity }) => CollisionSystem.canCollide(this, entity));
+        if (first && !this.detonated) {
+            this.x = Utils.lerp(this.startX, this.x, first.time);
+            this.y = Utils.lerp(this.startY, this.y, first.time);
+            this.detonate();
+        }
+        return [];
+    }
+    
+    detonate() {
+        if (this.detonated) return;
+        
+        this.detonated = true;
+        this.alive = false;
+        this.spawns.push(new Explosion(this.x, this.y, this.damage));
+    }
+}
 
 // Weapon Registry
 export const WEAPON_REGISTRY = {
     'pistol': Pistol,
-    'machine_gun': MachineGun
+    'machine_gun': MachineGun,
+    'shotgun': Shotgun,
+    'railgun': Railgun,
+    'grenade_launcher': GrenadeLauncher
 };
 
-// ShooterBullet - enemy projectile with lifetime
-export class ShooterBullet extends Projectile {
-    constructor(x, y, vx, vy, radius, damage, color, owner) {
-        super(x, y, vx, vy, radius, damage, color, owner);
-        this.lifetime = SHOOTER_BULLET_LIFETIME; // Override parent's lifetime
-        // Remove redundant age tracking - parent class handles it
+// Weapon inventory: WEAPON_SLOTS slots of weapon keys, one of them active. Slot 1 holds
+// the starting sidearm for good; a pickup with every slot full replaces the active weapon.
+export class WeaponInventory {
+    constructor(startingWeapon = 'pistol', size = WEAPON_SLOTS) {
+        this.slots = new Array(size).fill(null);
+        this.slots[0] = startingWeapon;
+        this.activeIndex = 0;
+    }
+    
+    getSize() {
+        return this.slots.length;
+    }
+    
+    getActiveKey() {
+        return this.slots[this.activeIndex];
+    }
+    
+    has(key) {
+        return this.slots.includes(key);
     }
     
+    // Weapon keys in slot order, empty slots skipped
+    getKeys() {
+        return this.slots.filter(key => key !== null);
+    }
+    
+    // Store `key` in the first empty slot; returns { slot, replaced } (replaced is null if a slot was free)
+    add(key) {
+        let slot = this.slots.indexOf(null);
+        if (slot === -1) {
+            // Full: swap out the active weapon, or the last slot while holding the sidearm
+            slot = this.activeIndex === 0 ? this.slots.length - 1 : this.activeIndex;
+        }
+        
+        const replaced = this.slots[slot];
+        this.slots[slot] = key;
+        return { slot, replaced };
+    }
+    
+    // Make `slot` active; false if it is empty or already active
+    select(slot) {
+        if (slot === this.activeIndex || !this.slots[slot]) return false;
+        this.activeIndex = slot;
+        return true;
+    }
+    
+    // Step to the next filled slot in `direction` (1 or -1), wrapping around
+    cycle(direction) {
+        for (let step = 1; step < this.slots.length; step++) {
+            const slot = (this.activeIndex + step * direction + this.slots.length) % this.slots.length;
+            if (this.slots[slot]) return this.select(slot);
+        }
+        return false;
+    }
+}
+
+// Pickups enemies can drop (see the `loot` tables in assets/enemies/). `effect` picks
+// what collecting does: heal `amount` HP, refill ammo, a timed power-up of `modifiers`
+// for `duration` seconds, or give `weapon`.
+export const PICKUP_TYPES = {
+    heart: { name: 'Heart', effect: 'heal', amount: 1, color: '#FF4D6D', sprite: 'ui_heart' },
+    ammo: { name: 'Ammo Crate', effect: 'ammo', color: '#C8A040' },
+    overdrive: { name: 'Overdrive', effect: 'powerUp', duration: 8, modifiers: [{ stat: 'fireInterval', mult: 0.5 }], color: '#FFD60A' },
+    haste: { name: 'Haste', effect: 'powerUp', duration: 8, modifiers: [{ stat: 'moveSpeed', mult: 1.4 }], color: '#4CC9F0' },
+    machine_gun: { name: 'Machine Gun', effect: 'weapon', weapon: 'machine_gun', color: '#4A90E2', sprite: 'ui_weapon_mg' },
+    shotgun: { name: 'Shotgun', effect: 'weapon', weapon: 'shotgun', color: '#FFB347', sprite: 'ui_weapon_shotgun' },
+    railgun: { name: 'Railgun', effect: 'weapon', weapon: 'railgun', color: '#66CCFF', sprite: 'ui_weapon_railgun' },
+    grenade_launcher: { name: 'Grenade Launcher', effect: 'weapon', weapon: 'grenade_launcher', color: '#6B8E23', sprite: 'ui_weapon_grenade' }
+};
+
+// Upgrade cards offered on level-up. Each modifier stacks onto the player's stats
+// (weapons and projectiles read them through the player); `maxStacks` caps repeats.
+export const UPGRADE_POOL = [
+    { id: 'rapid_fire', name: 'Rapid Fire', description: '15% faster fire rate', weight: 3, modifiers: [{ stat: 'fireInterval', mult: 0.85 }] },
+    { id: 'heavy_rounds', name: 'Heavy Rounds', description: '+1 bullet damage', weight: 2, modifiers: [{ stat: 'damage', add: 1 }] },
+    { id: 'vitality', name: 'Vitality', description: '+1 max HP', weight: 2, maxStacks: 5, modifiers: [{ stat: 'maxHp', add: 1 }] },
+    { id: 'multishot', name: 'Multishot', description: '+1 projectile per shot', weight: 1, maxStacks: 4, modifiers: [{ stat: 'projectileCount', add: 1 }] },
+    { id: 'piercing', name: 'Piercing Rounds', description: 'Bullets pass through +1 enemy', weight: 2, maxStacks: 3, modifiers: [{ stat: 'pierce', add: 1 }] },
+    { id: 'fleet_foot', name: 'Fleet Foot', description: '12% faster movement', weight: 3, maxStacks: 5, modifiers: [{ stat: 'moveSpeed', mult: 1.12 }] },
+    { id: 'afterimage', name: 'Afterimage', description: '25% longer invulnerability after a hit', weight: 2, maxStacks: 4, modifiers: [{ stat: 'iframeDuration', mult: 1.25 }] }
+];
+
+// ShooterBullet - enemy projectile; the firing enemy's definition sets its lifetime and sprite
+export class ShooterBullet extends Projectile {
     // No need to override update - parent class handles lifetime properly
+}
+
+// Pickup lying in the arena; blinks before it despawns
+export class Pickup extends Entity {
+    constructor(x, y, type) {
+        super(x, y, PICKUP_RADIUS);
+        this.setCollisionLayer('pickup');
+        this.type = type;
+        this.definition = PICKUP_TYPES[type];
+        this.age = 0;
+        this.lifetime = PICKUP_LIFETIME;
+        this.inReach = false; // Set by the simulation when it can be picked up manually
+    }
+    
+    update(deltaTime) {
+        this.age += deltaTime;
+        if (this.age >= this.lifetime) {
+            this.alive = false;
+        }
+    }
+    
+    isBlinking() {
+        return this.lifetime - this.age <= PICKUP_BLINK_TIME;
+    }
+    
+    render(ctx, imageLoader = null) {
+        if (this.isBlinking() && Math.floor(this.age * PICKUP_BLINK_RATE) % 2 === 1) return;
+        
+        ctx.save();
+        
+        const sprite = this.definition.sprite && imageLoader?.getImage(this.definition.sprite);
+        if (sprite) {
+            const size = this.radius * 2.5;
+            ctx.drawImage(sprite, this.x - size / 2, this.y - size / 2, size, size);
+        } else {
+            // Fallback: coloured token with the pickup's initial
+            ctx.fillStyle = this.definition.color;
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = '#000000';
+            ctx.font = 'bold 12px Arial';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(this.definition.name[0], this.x, this.y);
+        }
+        
+        // Highlight what the pickup action would collect
+        if (this.inReach) {
+            ctx.strokeStyle = '#FFFFFF';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, this.radius + 6, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        
+        ctx.restore();
+    }
 }
\ No newline at end of file
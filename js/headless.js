@@ -0,0 +1,81 @@
+// Headless simulation: the full game rules with no canvas, audio or images, driven by scripted input.
+// Runs under Node (20 needs --experimental-default-type=module; 22+ detects ES modules) and in the browser:
+//
+//   const sim = new HeadlessSimulation({ seed: 'regression-1' });
+//   const snapshot = sim.step({ move: { x: 1, y: 0 }, actions: ['fire'] });
+//   const end = sim.runUntil(snapshot => snapshot.isOver, 120 * 60);
+
+import { EventBus, InputManager, ScriptedInputProvider, RandomService } from './core.js';
+import { Simulation, SIMULATION_EVENTS, SIMULATION_STEP } from './simulation.js';
+import { loadEnemyDefinitions } from './enemies.js';
+
+// Enemy archetypes are data files; have them registered before any run is created
+await loadEnemyDefinitions();
+
+export class HeadlessSimulation {
+    constructor({ seed = null, creatorMode = false, pickupMode = 'auto', script = null, width, height, waveSet } = {}) {
+        this.input = new ScriptedInputProvider(script);
+        this.inputManager = new InputManager();
+        this.inputManager.registerProvider('scripted', this.input, true);
+        this.inputManager.setActiveProvider('scripted');
+        
+        // Events of the current step, returned with its snapshot
+        this.eventBus = new EventBus();
+        this.events = [];
+        SIMULATION_EVENTS.forEach(type => {
+            this.eventBus.on(type, data => this.events.push({ type, ...data }));
+        });
+        
+        // Input contexts follow the simulation the same way the browser game's states do
+        this.eventBus.on('levelUp', () => this.inputManager.setContext('upgrade'));
+        this.eventBus.on('upgradePicked', () => this.inputManager.setContext('gameplay'));
+        
+        this.simulation = new Simulation({ inputManager: this.inputManager, eventBus: this.eventBus, width, height, waveSet });
+        this.reset(seed, { creatorMode, pickupMode });
+    }
+    
+    reset(seed = null, { creatorMode = false, pickupMode = 'auto' } = {}) {
+        this.inputManager.setContext('gameplay');
+        this.inputManager.restoreHeldActions(new Set());
+        this.events = [];
+        this.simulation.reset(seed ?? RandomService.createSeed(), { creatorMode, pickupMode });
+        return this.getSnapshot();
+    }
+    
+    // Advance one fixed step; `input` (if given) replaces the scripted input from now on
+    step(input = undefined, deltaTime = SIMULATION_STEP) {
+        if (input !== undefined) {
+            this.input.setInput(input);
+        }
+        
+        this.events = [];
+        const player = this.simulation.player;
+        this.inputManager.setAimOrigin(player.x, player.y);
+        this.inputManager.update(deltaTime);
+        this.simulation.update(deltaTime);
+        
+        return this.getSnapshot();
+    }
+    
+    // Advance `steps` fixed steps; returns the last snapshot
+    run(steps, input = undefined) {
+        let snapshot = this.getSnapshot();
+        for (let i = 0; i < steps; i++) {
+            snapshot = this.step(i === 0 ? input : undefined);
+        }
+        return snapshot;
+    }
+    
+    // Step until `predicate(snapshot)` holds or `maxSteps` have run; returns the last snapshot
+    runUntil(predicate, maxSteps = Infinity) {
+        let snapshot = this.getSnapshot();
+        for (let i = 0; i < maxSteps && !predicate(snapshot); i++) {
+            snapshot = this.step();
+        }
+        return snapshot;
+    }
+    
+    getSnapshot() {
+        return { ...this.simulation.getSnapshot(), events: this.events };
+    }
+}
@@ -1,13 +1,54 @@
 // Constants for main.js
-const ARENA_WIDTH = 1200;
-const ARENA_HEIGHT = 800;
 const TARGET_FPS = 60;
 const MIN_FPS = 55;
-const ENEMY_SPAWN_INTERVAL = 2.0; // seconds
-const SPAWN_SAFETY_DISTANCE = 150; // pt
+const MAX_FRAME_TIME = 0.25; // seconds of real time simulated per frame at most (avoids a spiral of death)
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+const REPLAY_DEATH_LEAD = 1.0; // seconds shown before the death when jumping to it
+const REPLAY_MAX_STEPS_PER_FRAME = 64;
+const SETTINGS_STORAGE_KEY = 'advUI.settings';
+const HIGH_SCORES_STORAGE_KEY = 'advUI.highScores.v2'; // v1 ranked kills; scores now come from enemy definitions
+const MAX_HIGH_SCORES = 10;
+const VOLUME_STEP = 0.1;
+const BOOT_BAR_WIDTH = 400; // pt
+const BOOT_BAR_HEIGHT = 16; // pt
+const MENU_TITLE_Y = 150; // pt
+const MENU_ITEMS_TOP = 280; // pt
+const MENU_LINE_HEIGHT = 28; // pt
+const MENU_ITEM_WIDTH = 360; // pt
+const MENU_ITEM_HEIGHT = 56; // pt, including the gap to the next item
+const MENU_STICK_THRESHOLD = 0.5;
+const MENU_REPEAT_DELAY = 0.4; // seconds before a held direction starts repeating
+const MENU_REPEAT_INTERVAL = 0.12; // seconds
+const WAVE_BANNER_DURATION = 2.0; // seconds
+const WAVE_BANNER_FADE = 0.5; // seconds of fade-out at the end
+const DEFAULT_SETTINGS = {
+    volume: 1,
+    showFps: false,
+    pickupMode: 'auto', // see PICKUP_MODES
+    voiceControl: false // speech commands, or a typed-command box where speech is unavailable
+};
+const PICKUP_MODE_LABELS = {
+    auto: 'Auto-collect',
+    manual: 'Pick-up button'
+};
+
+// Game modes offered on the title screen
+const GAME_MODES = [
+    { id: 'standard', label: 'Standard', description: 'Endless arena, a fresh seed every run' },
+    { id: 'daily', label: 'Daily Challenge', description: 'Everyone plays the same seed today', daily: true },
+    { id: 'sandbox', label: 'Creator Sandbox', description: 'Creator mode from the start: no damage, fast pistol, time controls', creatorMode: true }
+];
+
+const CREDITS = [
+    'Game design & programming: the advUI project team',
+    'Art & sound: project assets (assets/)',
+    'Built with plain JavaScript and the Canvas API'
+];
 
-import { EventBus, InputManager, KeyboardMouseProvider, GestureProvider, VoiceProvider, CollisionSystem, Utils, ImageLoader, SoundManager } from './core.js';
-import { Player, ENEMY_REGISTRY, WEAPON_REGISTRY, Projectile } from './gameplay.js';
+import { EventBus, InputManager, InputBindings, KeyboardMouseProvider, GestureProvider, GamepadProvider, VoiceProvider, ReplayProvider, InputRecorder, SpeechTranscriptSource, TextInputTranscriptSource, Utils, ImageLoader, SoundManager, RandomService, TIME_LAYERS } from './core.js';
+import { Simulation, ARENA_WIDTH, ARENA_HEIGHT, SIMULATION_STEP, PICKUP_MODES } from './simulation.js';
+import { WaveDirector, DEFAULT_WAVE_SET } from './waves.js';
+import { loadEnemyDefinitions } from './enemies.js';
 
 // Game States
 export const GAME_STATES = {
@@ -19,6 +60,14 @@ export const GAME_STATES = {
     GAME_OVER: 'game_over'
 };
 
+// Input context used while in each game state
+const INPUT_CONTEXTS = {
+    [GAME_STATES.PLAYING]: 'gameplay',
+    [GAME_STATES.PAUSED]: 'paused',
+    [GAME_STATES.UPGRADE_PICK]: 'upgrade',
+    [GAME_STATES.GAME_OVER]: 'gameOver'
+};
+
 // State Machine
 class GameStateMachine {
     constructor() {
@@ -44,6 +93,528 @@ class GameStateMachine {
     }
 }
 
+// Controls overlay for rebinding keyboard/mouse actions
+class BindingsScreen {
+    constructor(bindings) {
+        this.bindings = bindings;
+        this.isOpen = false;
+        this.capture = null; // { action, slot, pendingBinding }
+        this.onClose = null;
+        
+        this.elements = {
+            screen: document.getElementById('bindingsScreen'),
+            table: document.getElementById('bindingsTable'),
+            message: document.getElementById('bindingsMessage'),
+            resetButton: document.getElementById('bindingsResetButton'),
+            closeButton: document.getElementById('bindingsCloseButton')
+        };
+        
+        this.boundHandlers = {
+            keydown: this.handleKeyDown.bind(this),
+            mousedown: this.handleMouseDown.bind(this),
+            wheel: this.handleWheel.bind(this)
+        };
+        
+        this.elements.resetButton?.addEventListener('click', () => {
+            this.bindings.resetToDefaults();
+            this.capture = null;
+            this.setMessage('Controls reset to defaults');
+            this.renderTable();
+        });
+        this.elements.closeButton?.addEventListener('click', () => this.close());
+    }
+    
+    open() {
+        if (this.isOpen || !this.elements.screen) return;
+        
+        this.isOpen = true;
+        this.capture = null;
+        this.setMessage('');
+        this.renderTable();
+        this.elements.screen.classList.remove('hidden');
+        
+        // Capture phase so the game's own handlers never see keys meant for rebinding
+        window.addEventListener('keydown', this.boundHandlers.keydown, true);
+        window.addEventListener('mousedown', this.boundHandlers.mousedown, true);
+        window.addEventListener('wheel', this.boundHandlers.wheel, { capture: true, passive: false });
+    }
+    
+    close() {
+        if (!this.isOpen) return;
+        
+        this.isOpen = false;
+        this.capture = null;
+        this.elements.screen.classList.add('hidden');
+        window.removeEventListener('keydown', this.boundHandlers.keydown, true);
+        window.removeEventListener('mousedown', this.boundHandlers.mousedown, true);
+        window.removeEventListener('wheel', this.boundHandlers.wheel, true);
+        
+        this.onClose?.();
+    }
+    
+    renderTable() {
+        const table = this.elements.table;
+        if (!table) return;
+        
+        table.innerHTML = '';
+        this.bindings.getActions().forEach(({ action, label }) => {
+            const row = document.createElement('tr');
+            
+            const labelCell = document.createElement('td');
+            labelCell.textContent = label;
+            row.appendChild(labelCell);
+            
+            const bindings = this.bindings.getBindings(action);
+            for (let slot = 0; slot < this.bindings.maxBindingsPerAction; slot++) {
+                const cell = document.createElement('td');
+                const button = document.createElement('button');
+                button.className = 'binding-slot';
+                
+                const isCapturing = this.capture && this.capture.action === action && this.capture.slot === slot;
+                if (isCapturing) {
+                    button.classList.add('capturing');
+                    button.textContent = 'Press a key...';
+                } else {
+                    button.textContent = bindings[slot] ? InputBindings.describe(bindings[slot]) : '—';
+                }
+                
+                // Highlight the action that currently owns a pending conflicting binding
+                const pending = this.capture?.pendingBinding;
+                if (pending && bindings[slot] === pending && action !== this.capture.action) {
+                    button.classList.add('conflict');
+                }
+                
+                button.addEventListener('click', () => this.startCapture(action, slot));
+                cell.appendChild(button);
+                row.appendChild(cell);
+            }
+            
+            table.appendChild(row);
+        });
+    }
+    
+    startCapture(action, slot) {
+        this.capture = { action, slot, pendingBinding: null };
+        this.setMessage('Press a key, scroll, or click outside the buttons to bind a mouse button. Backspace clears, Esc cancels.');
+        this.renderTable();
+    }
+    
+    handleKeyDown(event) {
+        event.stopPropagation();
+        
+        if (!this.capture) {
+            if (event.code === 'Escape') {
+                event.preventDefault();
+                this.close();
+            }
+            return;
+        }
+        
+        event.preventDefault();
+        if (event.code === 'Escape') {
+            this.capture = null;
+            this.setMessage('');
+            this.renderTable();
+        } else if (event.code === 'Backspace' || event.code === 'Delete') {
+            this.bindings.clearSlot(this.capture.action, this.capture.slot);
+            this.capture = null;
+            this.setMessage('');
+            this.renderTable();
+        } else {
+            this.assign(event.code);
+        }
+    }
+    
+    handleMouseDown(event) {
+        // Buttons in the overlay keep working; any other click binds that mouse button
+        if (!this.capture || event.target.closest?.('button')) return;
+        
+        event.stopPropagation();
+        event.preventDefault();
+        this.assign('Mouse' + event.button);
+    }
+    
+    handleWheel(event) {
+        if (!this.capture || event.deltaY === 0) return;
+        
+        event.stopPropagation();
+        event.preventDefault();
+        this.assign(event.deltaY < 0 ? 'WheelUp' : 'WheelDown');
+    }
+    
+    assign(binding) {
+        const { action, slot, pendingBinding } = this.capture;
+        const conflicts = this.bindings.findConflicts(binding, action);
+        
+        // First press of a binding owned elsewhere only warns; pressing it again confirms
+        if (conflicts.length > 0 && pendingBinding !== binding) {
+            this.capture.pendingBinding = binding;
+            const owners = conflicts.map(other => this.bindings.getLabel(other)).join(', ');
+            this.setMessage(`${InputBindings.describe(binding)} is already bound to ${owners}. Press it again to reassign, or Esc to cancel.`);
+            this.renderTable();
+            return;
+        }
+        
+        this.bindings.setBinding(action, slot, binding);
+        this.capture = null;
+        this.setMessage(`${this.bindings.getLabel(action)} bound to ${InputBindings.describe(binding)}`);
+        this.renderTable();
+    }
+    
+    setMessage(text) {
+        if (this.elements.message) {
+            this.elements.message.textContent = text;
+        }
+    }
+}
+
+// Player settings (volume etc.), persisted to localStorage
+class GameSettings {
+    constructor(storageKey = SETTINGS_STORAGE_KEY) {
+        this.storageKey = storageKey;
+        this.values = { ...DEFAULT_SETTINGS };
+        this.load();
+    }
+    
+    get(name) {
+        return this.values[name];
+    }
+    
+    set(name, value) {
+        this.values[name] = value;
+        this.save();
+    }
+    
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (stored) Object.assign(this.values, stored);
+        } catch (error) {
+            console.warn('Failed to load settings, using defaults:', error);
+        }
+    }
+    
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.values));
+        } catch (error) {
+            console.warn('Failed to save settings:', error);
+        }
+    }
+}
+
+// Best scores across runs, persisted to localStorage
+class HighScores {
+    constructor(storageKey = HIGH_SCORES_STORAGE_KEY) {
+        this.storageKey = storageKey;
+        this.entries = []; // { score, kills, mode, seed, date }, best first
+        this.load();
+    }
+    
+    getEntries() {
+        return this.entries;
+    }
+    
+    // Returns the rank (0 = best) or -1 if the score did not make the table
+    add(entry) {
+        this.entries.push(entry);
+        this.entries.sort((a, b) => b.score - a.score);
+        this.entries = this.entries.slice(0, MAX_HIGH_SCORES);
+        this.save();
+        return this.entries.indexOf(entry);
+    }
+    
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (Array.isArray(stored)) this.entries = stored;
+        } catch (error) {
+            console.warn('Failed to load high scores:', error);
+        }
+    }
+    
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            console.warn('Failed to save high scores:', error);
+        }
+    }
+}
+
+// Title screen drawn on the game canvas. Keyboard, gamepad and stick input arrive
+// through the 'menu' input context; mouse/touch through its own canvas listeners.
+class TitleMenu {
+    constructor(canvas, { settings, highScores }) {
+        this.canvas = canvas;
+        this.settings = settings;
+        this.highScores = highScores;
+        this.isOpen = false;
+        
+        this.page = 'main';
+        this.selectedIndex = 0;
+        this.modeIndex = 0;
+        
+        // Held direction with auto-repeat, so sticks and held keys scroll the list
+        this.direction = { x: 0, y: 0 };
+        this.repeatTimer = 0;
+        
+        // Callbacks
+        this.onPlay = null; // (mode) => void
+        this.onControls = null;
+        this.onSettingsChanged = null;
+        
+        this.boundHandlers = {
+            pointermove: (event) => this.handlePointerMove(event),
+            click: (event) => this.handleClick(event)
+        };
+    }
+    
+    open() {
+        if (this.isOpen) return;
+        
+        this.isOpen = true;
+        this.showPage('main');
+        this.canvas.addEventListener('pointermove', this.boundHandlers.pointermove);
+        this.canvas.addEventListener('click', this.boundHandlers.click);
+    }
+    
+    close() {
+        if (!this.isOpen) return;
+        
+        this.isOpen = false;
+        this.canvas.removeEventListener('pointermove', this.boundHandlers.pointermove);
+        this.canvas.removeEventListener('click', this.boundHandlers.click);
+    }
+    
+    getMode() {
+        return GAME_MODES[this.modeIndex];
+    }
+    
+    showPage(page) {
+        this.page = page;
+        this.selectedIndex = page === 'modes' ? this.modeIndex : 0;
+    }
+    
+    // Items of the current page: { label, activate?, adjust? }
+    getItems() {
+        const back = { label: 'Back', activate: () => this.showPage('main') };
+        
+        switch (this.page) {
+            case 'modes':
+                return [
+                    ...GAME_MODES.map((mode, index) => ({
+                        label: mode.label,
+                        activate: () => {
+                            this.modeIndex = index;
+                            this.showPage('main');
+                        }
+                    })),
+                    back
+                ];
+            case 'settings': {
+                const volume = this.settings.get('volume');
+                const changeVolume = (step) => {
+                    const next = Utils.clamp(Math.round((volume + step * VOLUME_STEP) * 10) / 10, 0, 1);
+                    this.changeSetting('volume', next);
+                };
+                const pickupMode = this.settings.get('pickupMode');
+                const changePickupMode = (step) => {
+                    const index = PICKUP_MODES.indexOf(pickupMode);
+                    this.changeSetting('pickupMode', PICKUP_MODES[(index + step + PICKUP_MODES.length) % PICKUP_MODES.length]);
+                };
+                const voiceControl = this.settings.get('voiceControl');
+                return [
+                    {
+                        label: `Volume: ${Math.round(volume * 100)}%`,
+                        activate: () => this.changeSetting('volume', volume >= 1 ? 0 : Math.min(1, volume + VOLUME_STEP)),
+                        adjust: changeVolume
+                    },
+                    {
+                        label: `Show FPS: ${this.settings.get('showFps') ? 'On' : 'Off'}`,
+                        activate: () => this.changeSetting('showFps', !this.settings.get('showFps')),
+                        adjust: () => this.changeSetting('showFps', !this.settings.get('showFps'))
+                    },
+                    {
+                        label: `Pickups: ${PICKUP_MODE_LABELS[pickupMode]}`,
+                        activate: () => changePickupMode(1),
+                        adjust: changePickupMode
+                    },
+                    {
+                        label: `Voice Commands: ${voiceControl ? (SpeechTranscriptSource.isSupported() ? 'Speech' : 'Typed') : 'Off'}`,
+                        activate: () => this.changeSetting('voiceControl', !voiceControl),
+                        adjust: () => this.changeSetting('voiceControl', !voiceControl)
+                    },
+                    back
+                ];
+            }
+            case 'highScores':
+            case 'credits':
+                return [back];
+            default:
+                return [
+                    { label: 'Play', activate: () => this.onPlay?.(this.getMode()) },
+                    { label: 'Mode Select', activate: () => this.showPage('modes') },
+                    { label: 'Settings', activate: () => this.showPage('settings') },
+                    { label: 'Controls', activate: () => this.onControls?.() },
+                    { label: 'High Scores', activate: () => this.showPage('highScores') },
+                    { label: 'Credits', activate: () => this.showPage('credits') }
+                ];
+        }
+    }
+    
+    // Non-selectable text above the items
+    getTextLines() {
+        switch (this.page) {
+            case 'modes':
+                return [GAME_MODES[this.selectedIndex]?.description ?? ''];
+            case 'highScores': {
+                const entries = this.highScores.getEntries();
+                if (entries.length === 0) return ['No scores yet'];
+                return entries.map((entry, index) => {
+                    const mode = GAME_MODES.find(candidate => candidate.id === entry.mode);
+                    return `${index + 1}.  ${entry.score} pts (${entry.kills} kills)  ·  ${mode ? mode.label : entry.mode}  ·  ${entry.date}`;
+                });
+            }
+            case 'credits':
+                return CREDITS;
+            default:
+                return [`Mode: ${this.getMode().label}`];
+        }
+    }
+    
+    changeSetting(name, value) {
+        this.settings.set(name, value);
+        this.onSettingsChanged?.(name, value);
+    }
+    
+    update(deltaTime, inputManager) {
+        if (!this.isOpen) return;
+        
+        const items = this.getItems();
+        const direction = this.readDirection(inputManager);
+        
+        // Move on a new direction, then repeat while it is held
+        let step = { x: 0, y: 0 };
+        if (direction.x !== this.direction.x || direction.y !== this.direction.y) {
+            step = direction;
+            this.repeatTimer = MENU_REPEAT_DELAY;
+        } else if (direction.x !== 0 || direction.y !== 0) {
+            this.repeatTimer -= deltaTime;
+            if (this.repeatTimer <= 0) {
+                step = direction;
+                this.repeatTimer = MENU_REPEAT_INTERVAL;
+            }
+        }
+        this.direction = direction;
+        
+        if (step.y !== 0) {
+            this.selectedIndex = (this.selectedIndex + step.y + items.length) % items.length;
+        }
+        if (step.x !== 0) {
+            items[this.selectedIndex]?.adjust?.(step.x);
+        }
+        
+        if (inputManager.consumeAction('menuConfirm')) {
+            items[this.selectedIndex]?.activate?.();
+        }
+        if (inputManager.consumeAction('menuBack') && this.page !== 'main') {
+            this.showPage('main');
+        }
+    }
+    
+    // -1/0/1 per axis from directional actions (keys, d-pad) or any analog stick
+    readDirection(inputManager) {
+        const axis = (negative, positive, analog) => {
+            const digital = (inputManager.isActionHeld(positive) ? 1 : 0) - (inputManager.isActionHeld(negative) ? 1 : 0);
+            if (digital !== 0) return digital;
+            if (Math.abs(analog) >= MENU_STICK_THRESHOLD) return Math.sign(analog);
+            return 0;
+        };
+        
+        const move = inputManager.getMoveVector();
+        return {
+            x: axis('left', 'right', move.x),
+            y: axis('up', 'down', move.y)
+        };
+    }
+    
+    getItemRect(index) {
+        const top = MENU_ITEMS_TOP + this.getTextLines().length * MENU_LINE_HEIGHT;
+        return {
+            x: (ARENA_WIDTH - MENU_ITEM_WIDTH) / 2,
+            y: top + index * MENU_ITEM_HEIGHT,
+            width: MENU_ITEM_WIDTH,
+            height: MENU_ITEM_HEIGHT - 8
+        };
+    }
+    
+    getItemAt(clientX, clientY) {
+        const pos = Utils.clientToCanvas(this.canvas, clientX, clientY);
+        return this.getItems().findIndex((item, index) => {
+            const rect = this.getItemRect(index);
+            return pos.x >= rect.x && pos.x <= rect.x + rect.width &&
+                   pos.y >= rect.y && pos.y <= rect.y + rect.height;
+        });
+    }
+    
+    handlePointerMove(event) {
+        const index = this.getItemAt(event.clientX, event.clientY);
+        if (index >= 0) this.selectedIndex = index;
+    }
+    
+    handleClick(event) {
+        const index = this.getItemAt(event.clientX, event.clientY);
+        if (index >= 0) {
+            this.selectedIndex = index;
+            this.getItems()[index].activate?.();
+        }
+    }
+    
+    render(ctx) {
+        ctx.save();
+        
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(0, 0, ARENA_WIDTH, ARENA_HEIGHT);
+        
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = 'bold 56px Arial';
+        ctx.fillText('2D Shooter', ARENA_WIDTH / 2, MENU_TITLE_Y);
+        
+        const pageTitles = { modes: 'Mode Select', settings: 'Settings', highScores: 'High Scores', credits: 'Credits' };
+        if (pageTitles[this.page]) {
+            ctx.font = '28px Arial';
+            ctx.fillText(pageTitles[this.page], ARENA_WIDTH / 2, MENU_TITLE_Y + 60);
+        }
+        
+        ctx.font = '18px Arial';
+        ctx.fillStyle = '#BBBBBB';
+        this.getTextLines().forEach((line, index) => {
+            ctx.fillText(line, ARENA_WIDTH / 2, MENU_ITEMS_TOP + index * MENU_LINE_HEIGHT);
+        });
+        
+        ctx.font = '22px Arial';
+        this.getItems().forEach((item, index) => {
+            const rect = this.getItemRect(index);
+            const selected = index === this.selectedIndex;
+            
+            ctx.fillStyle = selected ? 'rgba(0, 255, 0, 0.2)' : 'rgba(0, 0, 0, 0.7)';
+            ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+            ctx.strokeStyle = selected ? '#00FF00' : '#666666';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+            
+            const label = selected && item.adjust ? `◀  ${item.label}  ▶` : item.label;
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillText(label, ARENA_WIDTH / 2, rect.y + rect.height / 2);
+        });
+        
+        ctx.restore();
+    }
+}
+
 // Main Game Class
 class Game {
     constructor() {
@@ -54,31 +625,58 @@ class Game {
         this.eventBus = new EventBus();
         this.imageLoader = new ImageLoader();
         this.soundManager = new SoundManager();
-        
-        // Game objects
-        this.player = null;
-        this.enemies = [];
-        this.projectiles = [];
-        
-        // Game state
-        this.killCount = 0;
-        this.enemySpawnTimer = 0;
-        this.creatorMode = false;
+        this.inputBindings = new InputBindings();
+        this.bindingsScreen = null;
+        this.settings = new GameSettings();
+        this.highScores = new HighScores();
+        this.titleMenu = null;
+        this.mode = GAME_MODES[0];
+        this.bootProgress = { loaded: 0, total: 0 }; // images loaded during BOOT
+        this.bootError = null; // Shown on the loading screen when BOOT cannot finish
+        
+        // Replays: every run is recorded; a loaded replay is fed back through ReplayProvider
+        this.recorder = new InputRecorder();
+        this.replayProvider = new ReplayProvider();
+        this.isReplaying = false;
+        this.replayState = { paused: false, speed: 1, clock: 0 };
+        
+        // Game rules and world state; everything here also runs headless (see headless.js).
+        // Created during BOOT, once the enemy definitions its wave sets refer to are loaded.
+        this.simulation = null;
+        this.fixedSeed = new URLSearchParams(window.location.search).get('seed'); // ?seed=... replays the same run
+        this.waveSet = DEFAULT_WAVE_SET; // ?waves=path/to/set.json loads a designer-authored set at boot
+        this.waveBanner = null; // { wave, name, timer } while the "Wave N" banner shows
         
         // Timing
         this.lastTime = 0;
-        this.deltaTime = 0;
+        this.toastTimer = 0; // seconds left on the toast (UI time)
+        this.deltaTime = 0; // Real time of the last rendered frame
+        this.accumulator = 0; // Real time not yet consumed by fixed simulation steps
+        this.pausedActionStates = null; // Input action states when the run was paused
         this.fps = 0;
         this.fpsCounter = 0;
         this.fpsTimer = 0;
         
         // HUD elements
+        this.weaponBarLayout = null; // Inventory slots the weapon bar was last built for
         this.hudElements = {
+            hud: null,
             healthHearts: null,
-            pistolSlot: null,
-            machinegunSlot: null,
+            weaponBar: null,
+            weaponSlots: [], // Generated per inventory slot: { element, ammo, cooldown }
             gameOverScreen: null,
             restartButton: null,
+            pauseScreen: null,
+            upgradeScreen: null,
+            upgradeCards: null,
+            levelDisplay: null,
+            waveDisplay: null,
+            controlsButton: null,
+            inputPrompt: null,
+            saveReplayButton: null,
+            loadReplayInput: null,
+            replayControls: null,
+            replayStatus: null,
             toast: null
         };
         
@@ -94,6 +692,12 @@ class Game {
         this.soundManager.load('hurt_enemy3', 'assets/sounds/hurt_enemy3.ogg', 0.6);
         this.soundManager.load('hurt_player', 'assets/sounds/hurt_player.ogg', 0.7);
         this.soundManager.load('shoot_pistol', 'assets/sounds/shoot_pistol.ogg', 0.5);
+        this.soundManager.load('shoot_shotgun', 'assets/sounds/shoot_pistol.ogg', 0.8, 0.6);
+        this.soundManager.load('shoot_railgun', 'assets/sounds/shoot_pistol.ogg', 0.7, 1.8);
+        this.soundManager.load('shoot_grenade', 'assets/sounds/shoot_pistol.ogg', 0.7, 0.45);
+        this.soundManager.load('reload', 'assets/sounds/shoot_pistol.ogg', 0.3, 0.7);
+        this.soundManager.load('dry_fire', 'assets/sounds/shoot_pistol.ogg', 0.25, 2.5);
+        this.soundManager.setMasterVolume(this.settings.get('volume'));
 
         
         // Get canvas and context
@@ -107,27 +711,56 @@ class Game {
         // Setup canvas
         this.setupCanvas();
         
-        // Load images
-        await this.loadImages();
-        
         // Get HUD elements
         this.setupHUD();
         
         // Setup input
         this.setupInput();
         
-        // Initialize game objects
-        this.initGameObjects();
-        
         // Setup event listeners
         this.setupEventListeners();
         
-        // Set initial state to PLAYING
-        this.stateMachine.setState(GAME_STATES.PLAYING);
+        // BOOT: run the loop right away so loading progress is drawn
+        this.handleStateChanged(GAME_STATES.BOOT);
+        this.start();
+        
+        // Enemy definitions first: the simulation and wave sets need them
+        try {
+            await loadEnemyDefinitions();
+        } catch (error) {
+            console.error('Failed to load enemy definitions:', error);
+            this.bootError = error.message;
+            return;
+        }
+        this.simulation = new Simulation({ inputManager: this.inputManager, eventBus: this.eventBus });
+        
+        // Load images and the wave set
+        await this.loadImages();
+        await this.loadWaveSet();
+        
+        this.stateMachine.setState(GAME_STATES.MENU);
         
         console.log('Game initialized successfully');
     }
     
+    // Custom wave sets come from ?waves=...; a bad file falls back to the built-in set
+    async loadWaveSet() {
+        const path = new URLSearchParams(window.location.search).get('waves');
+        if (!path) return;
+        
+        try {
+            const response = await fetch(path);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.waveSet = WaveDirector.parse(await response.text());
+            console.log(`Loaded wave set "${this.waveSet.name || path}"`);
+        } catch (error) {
+            console.warn(`Failed to load wave set ${path}:`, error);
+            this.showToast(`Could not load waves: ${error.message}`, 4000);
+        }
+    }
+    
     setupCanvas() {
         // Set canvas size
         this.canvas.width = ARENA_WIDTH;
@@ -160,12 +793,17 @@ class Game {
             'tank_death':     'hittedenemy1.png',
             'ui_weapon_pistol': 'ui_weapon_pistol.svg',
             'ui_weapon_mg': 'ui_weapon_mg.svg',
+            'ui_weapon_shotgun': 'ui_weapon_shotgun.svg',
+            'ui_weapon_railgun': 'ui_weapon_railgun.svg',
+            'ui_weapon_grenade': 'ui_weapon_grenade.svg',
             'ui_heart': 'ui_heart.svg',
             'bg': 'bg.png'
         };
         
         try {
-            await this.imageLoader.loadImages(imageMap);
+            await this.imageLoader.loadImages(imageMap, (loaded, total) => {
+                this.bootProgress = { loaded, total };
+            });
             console.log('Images loaded successfully');
         } catch (error) {
             console.warn('Some images failed to load, will use fallback rendering:', error);
@@ -185,59 +823,237 @@ class Game {
     }
     
     setupHUD() {
+        this.hudElements.hud = document.getElementById('hud');
         this.hudElements.healthHearts = document.getElementById('healthHearts');
-        this.hudElements.pistolSlot = document.getElementById('pistol-slot');
-        this.hudElements.machinegunSlot = document.getElementById('machinegun-slot');
+        this.hudElements.weaponBar = document.getElementById('weaponBar');
         this.hudElements.gameOverScreen = document.getElementById('gameOverScreen');
         this.hudElements.restartButton = document.getElementById('restartButton');
+        this.hudElements.pauseScreen = document.getElementById('pauseScreen');
+        this.hudElements.upgradeScreen = document.getElementById('upgradeScreen');
+        this.hudElements.upgradeCards = document.getElementById('upgradeCards');
+        this.hudElements.levelDisplay = document.getElementById('levelDisplay');
+        this.hudElements.waveDisplay = document.getElementById('waveDisplay');
+        this.hudElements.controlsButton = document.getElementById('controlsButton');
+        this.hudElements.inputPrompt = document.getElementById('inputPrompt');
+        this.hudElements.saveReplayButton = document.getElementById('saveReplayButton');
+        this.hudElements.loadReplayInput = document.getElementById('loadReplayInput');
+        this.hudElements.replayControls = document.getElementById('replayControls');
+        this.hudElements.replayStatus = document.getElementById('replayStatus');
         this.hudElements.toast = document.getElementById('toast');
+        
+        this.titleMenu = new TitleMenu(this.canvas, { settings: this.settings, highScores: this.highScores });
+        this.titleMenu.onPlay = (mode) => {
+            this.mode = mode;
+            this.startRun(!!mode.creatorMode);
+        };
+        this.titleMenu.onControls = () => this.openBindingsScreen();
+        this.titleMenu.onSettingsChanged = (name, value) => {
+            if (name === 'volume') this.soundManager.setMasterVolume(value);
+            if (name === 'voiceControl') {
+                this.setVoiceControl(value);
+                this.canvas.focus(); // The typed-command box takes focus; keep the menu driving
+            }
+        };
+        
+        this.bindingsScreen = new BindingsScreen(this.inputBindings);
+        this.bindingsScreen.onClose = () => {
+            this.updateInputPrompt(this.inputManager.getLastUsedDevice() || 'keyboard-mouse');
+            this.canvas.focus();
+        };
     }
     
     setupInput() {
         // Register input providers
-        const keyboardMouse = new KeyboardMouseProvider(this.canvas);
-        const gesture = new GestureProvider();
-        const voice = new VoiceProvider();
+        const keyboardMouse = new KeyboardMouseProvider(this.canvas, this.inputBindings);
+        const gesture = new GestureProvider(this.canvas);
+        const voiceCommandInput = document.getElementById('voiceCommandInput');
+        const voice = new VoiceProvider({
+            // Fall back to a typed-command box where speech recognition is unavailable
+            source: SpeechTranscriptSource.isSupported() || !voiceCommandInput
+                ? undefined
+                : new TextInputTranscriptSource(voiceCommandInput),
+            findTarget: (x, y) => this.simulation?.findNearestEnemy(x, y) ?? null
+        });
         
         this.inputManager.registerProvider('keyboard-mouse', keyboardMouse, true); // fallback
         this.inputManager.registerProvider('gesture', gesture);
         this.inputManager.registerProvider('voice', voice);
+        this.inputManager.registerProvider('gamepad', new GamepadProvider());
+        this.inputManager.registerProvider('replay', this.replayProvider);
+        
+        this.enableLiveProviders();
+        
+        // Controller feedback when the player gets hurt
+        this.eventBus.on('playerDamaged', () => this.inputManager.rumble());
+        
+        // Sound and toasts for what happens in the simulation
+        this.eventBus.on('playerDamaged', () => this.soundManager.play('hurt_player'));
+        this.eventBus.on('enemyHit', () => this.soundManager.play('shoot_pistol'));
+        this.eventBus.on('enemyKilled', ({ enemy }) => this.soundManager.play(enemy.definition.deathSound || 'hurt_enemy1'));
+        this.eventBus.on('weaponChanged', ({ name }) => this.showToast(`Switched to ${name}`));
+        this.eventBus.on('weaponFired', ({ sound }) => this.soundManager.play(sound));
+        this.eventBus.on('weaponReloading', () => this.soundManager.play('reload'));
+        this.eventBus.on('weaponEmpty', ({ key, outOfAmmo }) => {
+            this.soundManager.play('dry_fire');
+            this.flashWeaponSlot(this.simulation.inventory.slots.indexOf(key));
+            if (outOfAmmo) this.showToast(`${this.simulation.weapons[key].name}: out of ammo`);
+        });
+        this.eventBus.on('notice', ({ message }) => this.showToast(message));
+        this.eventBus.on('gameOver', () => this.handleGameOver());
+        this.eventBus.on('levelUp', ({ level, choices }) => this.showUpgradeCards(level, choices));
+        this.eventBus.on('upgradePicked', ({ upgrade }) => {
+            this.stateMachine.setState(GAME_STATES.PLAYING);
+            this.hudElements.upgradeScreen?.classList.add('hidden');
+            this.showToast(`${upgrade.name}: ${upgrade.description}`);
+        });
+        this.eventBus.on('waveStarted', ({ wave, name }) => {
+            this.waveBanner = { wave, name, timer: WAVE_BANNER_DURATION };
+        });
+        this.eventBus.on('waveCleared', ({ wave }) => this.showToast(`Wave ${wave} cleared`));
+        this.eventBus.on('pickupCollected', ({ message }) => this.showToast(message));
+        
+        // Device notices: controllers coming and going, voice commands that cannot start
+        this.inputManager.eventBus.on('gamepadConnected', () => this.showToast('Controller connected'));
+        this.inputManager.eventBus.on('gamepadDisconnected', () => this.showToast('Controller disconnected'));
+        this.inputManager.eventBus.on('voiceError', () => this.showToast('Voice commands unavailable: microphone access refused'));
+        
+        // Swap HUD button prompts to whatever device was used last
+        this.inputManager.eventBus.on('deviceChanged', ({ name }) => this.updateInputPrompt(name));
+        this.updateInputPrompt('keyboard-mouse');
+    }
+    
+    enableLiveProviders() {
+        // Keyboard/mouse and touch run side by side; a gamepad joins when it connects
+        this.inputManager.enableProvider('keyboard-mouse');
+        this.inputManager.enableProvider('gesture');
+        
+        const gamepad = this.inputManager.providers.get('gamepad');
+        if (gamepad.getConnectedGamepads().length > 0) {
+            this.inputManager.enableProvider('gamepad');
+        }
         
-        // Set keyboard-mouse as active
-        this.inputManager.setActiveProvider('keyboard-mouse');
+        this.setVoiceControl(this.settings.get('voiceControl'));
     }
     
-    initGameObjects() {
-        // Create player at center
-        this.player = new Player(ARENA_WIDTH / 2, ARENA_HEIGHT / 2);
+    // Voice runs alongside the other live devices; its source shows the typed-command box if it uses one
+    setVoiceControl(enabled) {
+        if (this.isReplaying) return; // Picked up again by enableLiveProviders() after the replay
         
-        // Initialize weapons
-        this.weapons = {
-            pistol: new WEAPON_REGISTRY.pistol(),
-            machine_gun: new WEAPON_REGISTRY.machine_gun()
-        };
-        this.currentWeaponKey = 'pistol';
+        if (enabled) {
+            this.inputManager.enableProvider('voice');
+        } else {
+            this.inputManager.disableProvider('voice');
+        }
+    }
+    
+    updateInputPrompt(deviceName) {
+        if (!this.hudElements.inputPrompt) return;
         
-        // Give player the current weapon
-        this.player.setWeapon(this.weapons[this.currentWeaponKey]);
+        let prompt;
+        switch (deviceName) {
+            case 'gamepad':
+                prompt = 'RT Fire · LB/RB Switch Weapon · Y Reload · X Pick Up';
+                break;
+            case 'gesture':
+                prompt = 'Right stick Fire · Second-finger swipe Switch Weapon · Two-finger tap Creator Mode';
+                break;
+            case 'voice':
+                prompt = 'Say "fire", "hold fire", "move left", "stop", "switch weapon", "reload", "pick up"';
+                break;
+            default: {
+                const describe = (action) => {
+                    const binding = this.inputBindings.getBindings(action)[0];
+                    return binding ? InputBindings.describe(binding) : '—';
+                };
+                prompt = `${describe('fire')} Fire · ${describe('previousWeapon')}/${describe('switchWeapon')} Switch Weapon · ${describe('reload')} Reload · ${describe('pickup')} Pick Up · ${describe('creatorMode')} Creator Mode`;
+            }
+        }
+        this.hudElements.inputPrompt.textContent = prompt;
+    }
+    
+    initGameObjects(seed = null, {
+        creatorMode = this.simulation.creatorMode,
+        waveSet = this.waveSet,
+        pickupMode = this.settings.get('pickupMode')
+    } = {}) {
+        // Every run starts from a seed so it can be reproduced
+        seed = seed ?? this.fixedSeed ?? RandomService.createSeed();
+        
+        // Record live runs from a clean action state
+        if (!this.isReplaying) {
+            this.inputManager.restoreHeldActions(this.inputManager.getHeldActions());
+            this.recorder.start(seed, this.inputManager, { creatorMode, waveSet, pickupMode });
+        }
         
-        // Reset game state
-        this.enemies = [];
-        this.projectiles = [];
-        this.killCount = 0;
-        this.enemySpawnTimer = 0;
+        this.waveBanner = null;
+        this.simulation.setWaveSet(waveSet);
+        this.simulation.reset(seed, { creatorMode, pickupMode });
     }
     
     setupEventListeners() {
         // Restart button
         this.hudElements.restartButton?.addEventListener('click', () => this.restart());
         
-        // Keyboard restart
-        document.addEventListener('keydown', (event) => {
-            if (event.key === 'Enter' && this.stateMachine.isState(GAME_STATES.GAME_OVER)) {
-                this.restart();
+        // Controls (rebinding) overlay
+        this.hudElements.controlsButton?.addEventListener('click', (event) => {
+            event.currentTarget.blur();
+            this.openBindingsScreen();
+        });
+        
+        // Each game state has its own input context, so keys like R and Enter mean different things
+        this.stateMachine.eventBus.on('stateChanged', ({ to }) => this.handleStateChanged(to));
+        
+        // Pause menu
+        document.getElementById('resumeButton')?.addEventListener('click', () => this.resume());
+        document.getElementById('pauseRestartButton')?.addEventListener('click', () => this.restart());
+        document.getElementById('pauseSettingsButton')?.addEventListener('click', (event) => {
+            event.currentTarget.blur();
+            this.openBindingsScreen();
+        });
+        document.getElementById('quitToMenuButton')?.addEventListener('click', () => this.quitToMenu());
+        document.getElementById('gameOverMenuButton')?.addEventListener('click', () => this.quitToMenu());
+        
+        // Leaving the tab or window pauses instead of losing the run or jumping ahead on return
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.autoPause();
+        });
+        window.addEventListener('blur', () => this.autoPause());
+        
+        // Replay save/load
+        this.hudElements.saveReplayButton?.addEventListener('click', () => this.saveReplay());
+        this.hudElements.loadReplayInput?.addEventListener('change', async (event) => {
+            const file = event.target.files[0];
+            event.target.value = '';
+            if (file) {
+                this.startReplay(await file.text());
             }
         });
+        
+        // Replay playback controls
+        document.getElementById('replayPauseButton')?.addEventListener('click', () => this.toggleReplayPause());
+        document.getElementById('replaySlowerButton')?.addEventListener('click', () => this.changeReplaySpeed(-1));
+        document.getElementById('replayFasterButton')?.addEventListener('click', () => this.changeReplaySpeed(1));
+        document.getElementById('replayDeathButton')?.addEventListener('click', () => this.jumpToReplayDeath());
+        document.getElementById('replayExitButton')?.addEventListener('click', () => this.stopReplay());
+    }
+    
+    handleStateChanged(state) {
+        this.inputManager.setContext(INPUT_CONTEXTS[state] || 'menu');
+        
+        // A recording ends with the player's death
+        if (state === GAME_STATES.GAME_OVER && this.recorder.isRecording) {
+            this.recorder.markDeath();
+            this.recorder.stop();
+        }
+        
+        // Boot and title screens are drawn on the canvas without the in-run HUD
+        const inRun = state !== GAME_STATES.BOOT && state !== GAME_STATES.MENU;
+        this.hudElements.hud?.classList.toggle('hidden', !inRun);
+        if (state === GAME_STATES.MENU) {
+            this.titleMenu.open();
+        } else {
+            this.titleMenu.close();
+        }
     }
     
     start() {
@@ -255,288 +1071,357 @@ class Game {
         console.log('Game stopped');
     }
     
+    openBindingsScreen() {
+        // Drop held keys so nothing stays pressed while the overlay has focus
+        this.inputManager.providers.get('keyboard-mouse')?.keys.clear();
+        this.bindingsScreen.open();
+    }
+    
     restart() {
         console.log('Restarting game...');
-        this.initGameObjects();
+        this.startRun();
+    }
+    
+    // Start a run of the selected mode (the daily challenge always uses today's seed)
+    startRun(creatorMode = this.simulation.creatorMode) {
+        const seed = this.mode.daily ? `daily-${new Date().toISOString().slice(0, 10)}` : null;
+        this.initGameObjects(seed, { creatorMode });
         this.stateMachine.setState(GAME_STATES.PLAYING);
         this.hudElements.gameOverScreen?.classList.add('hidden');
+        this.hudElements.pauseScreen?.classList.add('hidden');
+        this.hudElements.upgradeScreen?.classList.add('hidden');
     }
     
-    gameLoop() {
-        if (!this.isRunning) return;
-        
-        const currentTime = performance.now();
-        this.deltaTime = (currentTime - this.lastTime) / 1000; // Convert to seconds
-        this.lastTime = currentTime;
-        
-        // Cap delta time to prevent large jumps
-        this.deltaTime = Math.min(this.deltaTime, 1/30); // Max 30 FPS minimum
-        
-        this.update(this.deltaTime);
-        this.render();
-        this.updateFPS();
-        
-        requestAnimationFrame(() => this.gameLoop());
+    // Freeze the run under the pause menu. Nothing is simulated or recorded while paused,
+    // so spawn timers and weapon cooldowns pick up exactly where they stopped.
+    pause() {
+        if (!this.stateMachine.isState(GAME_STATES.PLAYING) || this.isReplaying) return;
+        
+        this.pausedActionStates = this.inputManager.captureActionStates();
+        this.stateMachine.setState(GAME_STATES.PAUSED);
+        this.hudElements.pauseScreen?.classList.remove('hidden');
     }
     
-    update(deltaTime) {
-        // Update input
-        this.inputManager.update(deltaTime);
+    resume() {
+        if (!this.stateMachine.isState(GAME_STATES.PAUSED)) return;
         
-        // Update based on current state
-        switch (this.stateMachine.getState()) {
-            case GAME_STATES.PLAYING:
-                this.updatePlaying(deltaTime);
-                break;
-            case GAME_STATES.GAME_OVER:
-                this.updateGameOver(deltaTime);
-                break;
-            // Other states would have their own update methods
-        }
-        
-        // Handle collisions
-        this.handleCollisions();
-        
-        // Update HUD
-        this.updateHUD();
+        this.stateMachine.setState(GAME_STATES.PLAYING);
+        this.hudElements.pauseScreen?.classList.add('hidden');
+        
+        // Carry on from the paused frame, as the replay will: presses and releases
+        // made while paused must not turn into gameplay actions
+        this.inputManager.restoreActionStates(this.pausedActionStates);
+        this.pausedActionStates = null;
+        this.accumulator = 0;
+        this.canvas.focus();
+    }
+    
+    autoPause() {
+        // Keys released while the window is unfocused never send keyup
+        this.inputManager.providers.get('keyboard-mouse')?.keys.clear();
         
-        // Check game over condition
-        if (this.player && !this.player.isAlive() && this.stateMachine.getState() === GAME_STATES.PLAYING) {
-            this.stateMachine.setState(GAME_STATES.GAME_OVER);
-            this.showToast('Game Over! Press R to restart');
+        if (this.isReplaying) {
+            this.replayState.paused = true;
+            this.updateReplayStatus();
+        } else {
+            this.pause();
         }
     }
     
-    updatePlaying(deltaTime) {
-        const bounds = { width: ARENA_WIDTH, height: ARENA_HEIGHT };
-        
-        // Update player with creator mode state
-        this.player.creatorMode = this.creatorMode;
-        this.player.update(deltaTime, this.inputManager, bounds);
-        
-        // Handle player firing
-        if (this.inputManager.isFiring()) {
-            const mousePos = this.inputManager.getMousePosition();
-            this.player.fire(mousePos.x, mousePos.y, this.projectiles);
+    quitToMenu() {
+        this.recorder.stop();
+        this.hudElements.pauseScreen?.classList.add('hidden');
+        this.hudElements.gameOverScreen?.classList.add('hidden');
+        this.hudElements.upgradeScreen?.classList.add('hidden');
+        this.stateMachine.setState(GAME_STATES.MENU);
+    }
+    
+    saveReplay() {
+        if (this.recorder.getFrameCount() === 0) {
+            this.showToast('Nothing recorded yet');
+            return;
         }
         
-        // Handle weapon switching
-        const weaponSwitch = this.inputManager.getWeaponSwitch();
-        console.log('🎮 Weapon switch check in updatePlaying:', weaponSwitch);
-        if (weaponSwitch) {
-            console.log('🎮 Weapon switch detected, calling toggleWeapon()');
-            this.toggleWeapon();
-            this.inputManager.clearWeaponSwitch(); // Clear the switch flag after processing
-        }
-
-        // Handle creator mode toggle
-        const creatorModeToggle = this.inputManager.getCreatorModeToggle();
-        if (creatorModeToggle) {
-            this.toggleCreatorMode();
-            this.inputManager.clearCreatorModeToggle(); // Clear the toggle flag after processing
+        const json = JSON.stringify(this.recorder.toJSON());
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `replay-${this.simulation.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+    
+    startReplay(data) {
+        let replay;
+        let waveSet;
+        try {
+            replay = this.replayProvider.load(data);
+            waveSet = WaveDirector.parse(replay.waveSet || DEFAULT_WAVE_SET); // Replays from before waves carry no set
+        } catch (error) {
+            console.warn('Failed to load replay:', error);
+            this.showToast(`Invalid replay: ${error.message}`);
+            return;
         }
         
-        // Spawn enemies
-        this.enemySpawnTimer += deltaTime;
-        if (this.enemySpawnTimer >= ENEMY_SPAWN_INTERVAL) {
-            this.spawnEnemy();
-            this.enemySpawnTimer = 0;
+        this.recorder.stop();
+        this.isReplaying = true;
+        this.replayState = { paused: false, speed: 1, clock: 0 };
+        
+        // Only the replay drives input; rebuild the run exactly as it started
+        this.inputManager.setActiveProvider('replay');
+        this.inputManager.restoreHeldActions(new Set(replay.initialActions || []));
+        this.initGameObjects(replay.seed, {
+            creatorMode: !!replay.creatorMode,
+            waveSet,
+            pickupMode: replay.pickupMode || 'auto' // Replays from before pickups
+        });
+        
+        this.stateMachine.setState(GAME_STATES.PLAYING);
+        this.hudElements.gameOverScreen?.classList.add('hidden');
+        this.hudElements.replayControls?.classList.remove('hidden');
+        this.updateReplayStatus();
+    }
+    
+    stopReplay() {
+        if (!this.isReplaying) return;
+        
+        this.isReplaying = false;
+        this.inputManager.disableProvider('replay');
+        this.enableLiveProviders();
+        this.hudElements.replayControls?.classList.add('hidden');
+        this.restart();
+    }
+    
+    toggleReplayPause() {
+        this.replayState.paused = !this.replayState.paused;
+        this.updateReplayStatus();
+    }
+    
+    changeReplaySpeed(direction) {
+        const index = REPLAY_SPEEDS.indexOf(this.replayState.speed);
+        const nextIndex = Utils.clamp(index + direction, 0, REPLAY_SPEEDS.length - 1);
+        this.replayState.speed = REPLAY_SPEEDS[nextIndex];
+        this.updateReplayStatus();
+    }
+    
+    // Fast-forward (without rendering) to shortly before the recorded death
+    jumpToReplayDeath() {
+        const deathFrame = this.replayProvider.getDeathFrame();
+        let leadTime = 0;
+        let targetFrame = deathFrame;
+        while (targetFrame > 0 && leadTime < REPLAY_DEATH_LEAD) {
+            targetFrame--;
+            leadTime += this.replayProvider.frames[targetFrame][0] / 1e6;
         }
         
-        // Update enemies
-        this.enemies.forEach(enemy => {
-            if (enemy.constructor.name === 'Shooter') {
-                enemy.update(deltaTime, this.player, bounds, this.projectiles);
+        while (this.replayProvider.hasNextFrame() && this.replayProvider.frameIndex < targetFrame) {
+            this.step(this.replayProvider.peekDeltaTime());
+        }
+        this.replayState.clock = 0;
+        this.updateReplayStatus();
+    }
+    
+    // Step the replay by as many recorded frames as the elapsed (scaled) real time covers.
+    // Returns the interpolation alpha for rendering.
+    advanceReplay(realDeltaTime) {
+        if (!this.replayState.paused) {
+            this.replayState.clock += realDeltaTime * this.replayState.speed;
+            
+            let steps = 0;
+            while (this.replayProvider.hasNextFrame() &&
+                   this.replayState.clock >= this.replayProvider.peekDeltaTime() &&
+                   steps < REPLAY_MAX_STEPS_PER_FRAME) {
+                const deltaTime = this.replayProvider.peekDeltaTime();
+                this.replayState.clock -= deltaTime;
+                this.step(deltaTime);
+                steps++;
+            }
+            
+            // Drop time we could not catch up on instead of fast-forwarding later
+            if (!this.replayProvider.hasNextFrame()) {
+                this.replayState.clock = 0;
             } else {
-                enemy.update(deltaTime, this.player, bounds);
+                this.replayState.clock = Math.min(this.replayState.clock, this.replayProvider.peekDeltaTime());
             }
-        });
-        
-        // Update projectiles
-        this.projectiles.forEach(projectile => {
-            projectile.update(deltaTime, bounds);
-        });
+        }
+        this.updateReplayStatus();
         
-        // Handle collisions
-        this.handleCollisions();
+        const nextDeltaTime = this.replayProvider.peekDeltaTime();
+        return nextDeltaTime > 0 ? this.replayState.clock / nextDeltaTime : 1;
+    }
+    
+    updateReplayStatus() {
+        if (!this.hudElements.replayStatus) return;
         
-        // Remove dead objects
-        this.enemies = this.enemies.filter(enemy => enemy.isAlive());
-        this.projectiles = this.projectiles.filter(projectile => projectile.isAlive());
+        const { paused, speed } = this.replayState;
+        const frame = this.replayProvider.frameIndex;
+        const total = this.replayProvider.frames.length;
+        const status = !this.replayProvider.hasNextFrame() ? 'Finished' : (paused ? 'Paused' : 'Playing');
+        this.hudElements.replayStatus.textContent = `${status} · ${speed}x · frame ${frame}/${total}`;
         
-        // Check game over
-        if (!this.player.isAlive()) {
-            this.stateMachine.setState(GAME_STATES.GAME_OVER);
-            this.hudElements.gameOverScreen?.classList.remove('hidden');
-            const finalScore = this.hudElements.gameOverScreen?.querySelector('#finalScore');
-            if (finalScore) finalScore.textContent = this.killCount.toString();
-        }
+        const pauseButton = document.getElementById('replayPauseButton');
+        if (pauseButton) pauseButton.textContent = paused ? 'Resume' : 'Pause';
     }
     
-    toggleWeapon() {
-        console.log('🔄 toggleWeapon() called');
-        console.log('🔄 Current weapon key:', this.currentWeaponKey);
-        console.log('🔄 Available weapons:', Object.keys(this.weapons));
+    gameLoop() {
+        if (!this.isRunning) return;
         
-        // Toggle between pistol and machine gun
-        this.currentWeaponKey = this.currentWeaponKey === 'pistol' ? 'machine_gun' : 'pistol';
-        console.log('🔄 New weapon key:', this.currentWeaponKey);
+        const currentTime = performance.now();
+        this.deltaTime = (currentTime - this.lastTime) / 1000; // Convert to seconds
+        this.lastTime = currentTime;
         
-        this.player.setWeapon(this.weapons[this.currentWeaponKey]);
-        console.log('🔄 Weapon set on player:', this.weapons[this.currentWeaponKey]);
+        // Cap frame time to prevent large jumps (e.g. after a stall)
+        this.deltaTime = Math.min(this.deltaTime, MAX_FRAME_TIME);
         
-        // Show toast notification
-        const weaponName = this.currentWeaponKey === 'pistol' ? 'Pistol' : 'Machine Gun';
-        this.showToast(`Switched to ${weaponName}`);
-        console.log('🔄 Toast shown:', weaponName);
-    }
-
-    toggleCreatorMode() {
-        this.creatorMode = !this.creatorMode;
-        console.log('🎨 Creator mode toggled:', this.creatorMode);
-        
-        if (this.creatorMode) {
-            // Apply creator mode modifications
-            this.applyCreatorModeModifications();
+        // Fixed-step simulation, decoupled from the display refresh rate
+        let alpha;
+        if (this.isReplaying) {
+            alpha = this.advanceReplay(this.deltaTime);
         } else {
-            // Revert creator mode modifications
-            this.revertCreatorModeModifications();
-        }
-    }
-
-    applyCreatorModeModifications() {
-        // Store original pistol fire rate for restoration
-        if (!this.originalPistolFireRate) {
-            this.originalPistolFireRate = this.weapons.pistol.fireRate;
+            this.accumulator += this.deltaTime;
+            while (this.accumulator >= SIMULATION_STEP) {
+                this.step(SIMULATION_STEP);
+                this.accumulator -= SIMULATION_STEP;
+            }
+            alpha = this.accumulator / SIMULATION_STEP;
         }
         
-        // Set 5x faster pistol fire rate
-        this.weapons.pistol.fireRate = this.originalPistolFireRate / 5;
-        console.log('🎨 Pistol fire rate increased to:', this.weapons.pistol.fireRate);
-    }
-
-    revertCreatorModeModifications() {
-        // Restore original pistol fire rate
-        if (this.originalPistolFireRate) {
-            this.weapons.pistol.fireRate = this.originalPistolFireRate;
-            console.log('🎨 Pistol fire rate restored to:', this.weapons.pistol.fireRate);
+        if (this.simulation?.player) {
+            this.updateHUD();
         }
+        this.render(alpha);
+        this.updateFPS();
+        
+        requestAnimationFrame(() => this.gameLoop());
     }
-
-    updateGameOver(deltaTime) {
-        // Game over state - waiting for restart
+    
+    // One simulation step; remembers where entities were so rendering can interpolate
+    step(deltaTime) {
+        this.simulation?.savePreviousPositions();
+        this.update(deltaTime);
     }
     
-    spawnEnemy() {
-        // Randomly choose between all three enemy types
-        const enemyTypes = ['assassin', 'shooter', 'tank'];
-        const enemyType = enemyTypes[Utils.randomInt(0, enemyTypes.length - 1)];
+    update(deltaTime) {
+        // The world holds still while controls are being rebound
+        if (this.bindingsScreen?.isOpen) return;
         
-        // Choose a random edge to spawn from (0=top, 1=right, 2=bottom, 3=left)
-        const edge = Utils.randomInt(0, 3);
-        let x, y;
+        // Update input (stick-style providers aim around the player)
+        if (this.simulation?.player) {
+            this.inputManager.setAimOrigin(this.simulation.player.x, this.simulation.player.y);
+        }
+        this.inputManager.update(deltaTime);
         
-        const margin = 50; // Distance from the edge
+        // Paused runs only listen for the resume input
+        if (this.stateMachine.isState(GAME_STATES.PAUSED)) {
+            this.updatePaused();
+            return;
+        }
+        if (this.stateMachine.isState(GAME_STATES.MENU)) {
+            this.titleMenu.update(deltaTime, this.inputManager);
+            return;
+        }
+        if (this.stateMachine.isState(GAME_STATES.BOOT)) return;
         
-        switch (edge) {
-            case 0: // Top edge
-                x = Utils.randomRange(margin, ARENA_WIDTH - margin);
-                y = -margin;
-                break;
-            case 1: // Right edge
-                x = ARENA_WIDTH + margin;
-                y = Utils.randomRange(margin, ARENA_HEIGHT - margin);
-                break;
-            case 2: // Bottom edge
-                x = Utils.randomRange(margin, ARENA_WIDTH - margin);
-                y = ARENA_HEIGHT + margin;
+        // Record the frame; the live run continues with the quantized values the replay will see
+        deltaTime = this.recorder.record(deltaTime, this.inputManager);
+        
+        this.simulation.update(deltaTime);
+        this.updateToast(this.simulation.clock.getDelta(TIME_LAYERS.UI));
+        this.updateWaveBanner(this.simulation.clock.getDelta(TIME_LAYERS.UI));
+        
+        // Update based on current state
+        switch (this.stateMachine.getState()) {
+            case GAME_STATES.PLAYING:
+                // Consumed in replays too, so action buffers match the live run
+                if (this.inputManager.consumeAction('pause')) {
+                    this.pause();
+                }
                 break;
-            case 3: // Left edge
-                x = -margin;
-                y = Utils.randomRange(margin, ARENA_HEIGHT - margin);
+            case GAME_STATES.GAME_OVER:
+                this.updateGameOver(deltaTime);
                 break;
+            // Other states would have their own update methods
         }
-        
-        // Ensure minimum distance from player (safety check)
-        if (Utils.distance(x, y, this.player.x, this.player.y) < SPAWN_SAFETY_DISTANCE) {
-            // If too close, try a different edge
-            const alternativeEdge = (edge + 2) % 4; // Opposite edge
-            switch (alternativeEdge) {
-                case 0: // Top edge
-                    x = Utils.randomRange(margin, ARENA_WIDTH - margin);
-                    y = -margin;
-                    break;
-                case 1: // Right edge
-                    x = ARENA_WIDTH + margin;
-                    y = Utils.randomRange(margin, ARENA_HEIGHT - margin);
-                    break;
-                case 2: // Bottom edge
-                    x = Utils.randomRange(margin, ARENA_WIDTH - margin);
-                    y = ARENA_HEIGHT + margin;
-                    break;
-                case 3: // Left edge
-                    x = -margin;
-                    y = Utils.randomRange(margin, ARENA_HEIGHT - margin);
-                    break;
-            }
+    }
+    
+    handleGameOver() {
+        this.stateMachine.setState(GAME_STATES.GAME_OVER);
+        this.showToast('Game Over! Press R to restart');
+        
+        if (!this.isReplaying && this.simulation.killCount > 0) {
+            const rank = this.highScores.add({
+                score: this.simulation.score,
+                kills: this.simulation.killCount,
+                mode: this.mode.id,
+                seed: this.simulation.seed,
+                date: new Date().toISOString().slice(0, 10)
+            });
+            if (rank === 0) this.showToast('New high score!');
         }
         
-        // Create enemy
-        const EnemyClass = ENEMY_REGISTRY[enemyType];
-        if (EnemyClass) {
-            const enemy = new EnemyClass(x, y);
-            this.enemies.push(enemy);
+        if (!this.isReplaying) {
+            this.hudElements.gameOverScreen?.classList.remove('hidden');
         }
+        const finalScore = this.hudElements.gameOverScreen?.querySelector('#finalScore');
+        if (finalScore) finalScore.textContent = `${this.simulation.score} (${this.simulation.killCount} kills)`;
+        const waveReached = this.hudElements.gameOverScreen?.querySelector('#waveReached');
+        if (waveReached) waveReached.textContent = this.simulation.waveDirector.getWaveNumber().toString();
+        const seedValue = this.hudElements.gameOverScreen?.querySelector('#seedValue');
+        if (seedValue) seedValue.textContent = this.simulation.seed;
+        const upgradeList = this.hudElements.gameOverScreen?.querySelector('#upgradeList');
+        if (upgradeList) upgradeList.textContent = this.describeUpgrades() || 'None';
     }
     
-    handleCollisions() {
-        // Player vs enemies
-        this.enemies.forEach(enemy => {
-            if (CollisionSystem.checkCircleCollision(this.player, enemy)) {
-                if (this.player.canTakeDamage()) {
-                    this.player.takeDamage(enemy.damage);
-                }
-            }
-        });
-        
-        // Projectiles vs enemies (player bullets hitting enemies)
-        this.projectiles.forEach(projectile => {
-            if (projectile.owner === 'player') {
-                this.enemies.forEach(enemy => {
-                    if (CollisionSystem.checkCircleCollision(projectile, enemy)) {
-                        const prevHp = enemy.hp;
-                        enemy.takeDamage(projectile.damage);
-                        projectile.alive = false;
-
-                        // === 敌人受伤但没死，播放击中音效 ===
-                        if (prevHp > enemy.hp && enemy.isAlive() && projectile.owner === 'player') {
-                            if (window.game && window.game.soundManager) {
-                                window.game.soundManager.play('shoot_pistol');
-                            }
-                        }
-
-                        if (!enemy.isAlive()) {
-                            this.killCount++;
-                        }
-                    }
-                });
-            }
-        });
-        
-        // Enemy projectiles vs player (enemy bullets hitting player)
-        this.projectiles.forEach(projectile => {
-            if (projectile.owner !== 'player' && projectile.owner !== null) {
-                if (CollisionSystem.checkCircleCollision(projectile, this.player)) {
-                    if (this.player.canTakeDamage()) {
-                        this.player.takeDamage(projectile.damage);
-                        projectile.alive = false;
-                    }
-                }
-            }
-        });
+    // e.g. "Rapid Fire ×2, Vitality"
+    describeUpgrades() {
+        const counts = new Map();
+        this.simulation.upgrades.forEach(upgrade => counts.set(upgrade, (counts.get(upgrade) || 0) + 1));
+        return Array.from(counts, ([upgrade, count]) => count > 1 ? `${upgrade.name} ×${count}` : upgrade.name).join(', ');
+    }
+    
+    // Level-up: the simulation holds still until a card is picked
+    showUpgradeCards(level, choices) {
+        this.stateMachine.setState(GAME_STATES.UPGRADE_PICK);
+        if (!this.hudElements.upgradeScreen) return;
+        
+        this.hudElements.upgradeScreen.querySelector('#upgradeLevel').textContent = level;
+        this.hudElements.upgradeCards.replaceChildren(...choices.map((upgrade, index) => {
+            const card = document.createElement('button');
+            card.className = 'upgrade-card';
+            
+            const key = document.createElement('span');
+            key.className = 'upgrade-key';
+            key.textContent = index + 1;
+            const name = document.createElement('strong');
+            name.textContent = upgrade.name;
+            const description = document.createElement('span');
+            description.textContent = upgrade.description;
+            card.append(key, name, description);
+            
+            // Picks go through input so they are recorded with the run
+            card.addEventListener('click', () => {
+                if (!this.isReplaying) this.inputManager.pulseAction(`pickUpgrade${index + 1}`);
+            });
+            return card;
+        }));
+        this.hudElements.upgradeScreen.classList.remove('hidden');
+    }
+    
+    updatePaused() {
+        if (this.inputManager.consumeAction('pause')) {
+            this.resume();
+        }
+    }
+    
+    updateGameOver(deltaTime) {
+        // Game over state - waiting for restart
+        if (this.inputManager.consumeAction('restart')) {
+            this.restart();
+        }
     }
     
-    render() {
+    // alpha: fraction of a simulation step elapsed since the last one (0..1)
+    render(alpha = 1) {
         // Clear canvas
         const bgImage = this.imageLoader.getImage('bg');
         if (bgImage) {
@@ -555,64 +1440,240 @@ class Game {
         switch (this.stateMachine.getState()) {
             case GAME_STATES.PLAYING:
             case GAME_STATES.GAME_OVER:
-                this.renderPlaying();
+                this.renderPlaying(alpha);
+                break;
+            case GAME_STATES.PAUSED:
+                // The frozen world stays visible, dimmed under the pause menu
+                this.renderPlaying(alpha);
+                this.ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+                this.ctx.fillRect(0, 0, ARENA_WIDTH, ARENA_HEIGHT);
+                break;
+            case GAME_STATES.BOOT:
+                this.renderBoot();
+                break;
+            case GAME_STATES.MENU:
+                this.titleMenu.render(this.ctx);
                 break;
             // Other states would have their own rendering
         }
         
+        // Input overlays (virtual sticks etc.)
+        this.inputManager.render(this.ctx);
+        
         // Debug info
-        if (this.fps < MIN_FPS) {
-            this.ctx.fillStyle = '#FF0000';
+        if (this.fps < MIN_FPS || this.settings.get('showFps')) {
+            this.ctx.fillStyle = this.fps < MIN_FPS ? '#FF0000' : '#00FF00';
             this.ctx.font = '16px Arial';
             this.ctx.fillText(`FPS: ${this.fps.toFixed(1)}`, 10, ARENA_HEIGHT - 20);
         }
     }
     
-    renderPlaying() {
+    renderPlaying(alpha = 1) {
+        const { player, enemies, projectiles, pickups } = this.simulation;
+        
+        // Entities are drawn between their last two simulated positions
+        const renderInterpolated = (entity, draw) => {
+            entity.applyInterpolation(alpha);
+            draw();
+            entity.restorePosition();
+        };
+        
+        // Pickups lie still on the ground, so they need no interpolation
+        pickups.forEach(pickup => pickup.render(this.ctx, this.imageLoader));
+        
         // Render player
-        this.player.render(this.ctx, this.imageLoader, this.inputManager.mouseX, this.inputManager.mouseY);
+        renderInterpolated(player, () => {
+            player.render(this.ctx, this.imageLoader, this.inputManager.mouseX, this.inputManager.mouseY);
+            this.renderCharge(player);
+        });
         
         // Render enemies
-        this.enemies.forEach(enemy => {
-            enemy.render(this.ctx, this.imageLoader, this.player);
+        enemies.forEach(enemy => {
+            renderInterpolated(enemy, () => enemy.render(this.ctx, this.imageLoader, player));
         });
         
         // Render projectiles
-        this.projectiles.forEach(projectile => {
-            projectile.render(this.ctx, this.imageLoader);
+        projectiles.forEach(projectile => {
+            renderInterpolated(projectile, () => projectile.render(this.ctx, this.imageLoader));
         });
+        
+        this.renderWaveBanner();
+    }
+    
+    // Ring that fills while a charge weapon (railgun) is charging
+    renderCharge(player) {
+        const progress = player.weapon?.getChargeProgress() ?? 0;
+        if (progress <= 0) return;
+        
+        this.ctx.save();
+        this.ctx.strokeStyle = progress >= 1 ? '#FFFFFF' : '#66CCFF';
+        this.ctx.lineWidth = 3;
+        this.ctx.beginPath();
+        this.ctx.arc(player.x, player.y, player.radius + 10, -Math.PI / 2, -Math.PI / 2 + progress * Math.PI * 2);
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+    
+    renderWaveBanner() {
+        if (!this.waveBanner) return;
+        
+        const { wave, name, timer } = this.waveBanner;
+        this.ctx.save();
+        this.ctx.globalAlpha = Math.min(1, timer / WAVE_BANNER_FADE);
+        this.ctx.fillStyle = '#FFFFFF';
+        this.ctx.textAlign = 'center';
+        this.ctx.font = 'bold 48px Arial';
+        this.ctx.fillText(`Wave ${wave}`, ARENA_WIDTH / 2, ARENA_HEIGHT / 3);
+        if (name) {
+            this.ctx.font = '24px Arial';
+            this.ctx.fillText(name, ARENA_WIDTH / 2, ARENA_HEIGHT / 3 + 40);
+        }
+        this.ctx.restore();
+    }
+    
+    renderBoot() {
+        if (this.bootError) {
+            this.ctx.fillStyle = '#FF6B6B';
+            this.ctx.font = '24px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText('Could not start the game', ARENA_WIDTH / 2, ARENA_HEIGHT / 2 - 20);
+            this.ctx.font = '16px Arial';
+            this.ctx.fillText(this.bootError, ARENA_WIDTH / 2, ARENA_HEIGHT / 2 + 10);
+            this.ctx.textAlign = 'left';
+            return;
+        }
+        
+        const { loaded, total } = this.bootProgress;
+        const progress = total > 0 ? loaded / total : 0;
+        const barX = (ARENA_WIDTH - BOOT_BAR_WIDTH) / 2;
+        const barY = ARENA_HEIGHT / 2;
+        
+        this.ctx.fillStyle = '#FFFFFF';
+        this.ctx.font = '24px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(`Loading... ${loaded}/${total}`, ARENA_WIDTH / 2, barY - 20);
+        this.ctx.textAlign = 'left';
+        
+        this.ctx.strokeStyle = '#666666';
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(barX, barY, BOOT_BAR_WIDTH, BOOT_BAR_HEIGHT);
+        this.ctx.fillStyle = '#00FF00';
+        this.ctx.fillRect(barX, barY, BOOT_BAR_WIDTH * progress, BOOT_BAR_HEIGHT);
     }
     
     updateHUD() {
+        const { player, weapons, inventory } = this.simulation;
+        
+        // Level and XP
+        if (this.hudElements.levelDisplay) {
+            const { level, xp } = this.simulation;
+            this.hudElements.levelDisplay.textContent = `Lv ${level} · XP ${xp}/${this.simulation.getXpForNextLevel()}`;
+        }
+        
+        // Wave progress
+        if (this.hudElements.waveDisplay) {
+            const waveDirector = this.simulation.waveDirector;
+            const wave = waveDirector.getWaveNumber();
+            const alive = this.simulation.enemies.filter(enemy => !enemy.isDying).length;
+            this.hudElements.waveDisplay.textContent = wave === 0
+                ? 'Get ready'
+                : waveDirector.isBreather() ? `Wave ${wave} cleared` : `Wave ${wave} · ${alive} left`;
+        }
+        
+        // Highlight the card the keyboard/gamepad selection is on
+        if (this.simulation.upgradeChoices && this.hudElements.upgradeCards) {
+            Array.from(this.hudElements.upgradeCards.children).forEach((card, index) => {
+                card.classList.toggle('selected', index === this.simulation.upgradeSelection);
+            });
+        }
+        
         // Update health display
         if (this.hudElements.healthHearts) {
-            const hearts = '♥'.repeat(Math.max(0, this.player.hp));
-            const emptyHearts = '♡'.repeat(Math.max(0, this.player.maxHp - this.player.hp));
+            const hearts = '♥'.repeat(Math.max(0, player.hp));
+            const emptyHearts = '♡'.repeat(Math.max(0, player.maxHp - player.hp));
             this.hudElements.healthHearts.textContent = hearts + emptyHearts;
         }
         
-        // Update weapon display
-        if (this.hudElements.pistolSlot && this.hudElements.machinegunSlot) {
-            // Update active weapon highlighting
-            if (this.currentWeaponKey === 'pistol') {
-                this.hudElements.pistolSlot.classList.add('active');
-                this.hudElements.machinegunSlot.classList.remove('active');
-            } else {
-                this.hudElements.pistolSlot.classList.remove('active');
-                this.hudElements.machinegunSlot.classList.add('active');
-            }
+        // Weapon bar: rebuilt when the inventory changes, live ammo and cooldown every frame
+        if (inventory.slots.join(',') !== this.weaponBarLayout) {
+            this.buildWeaponBar();
+        }
+        this.hudElements.weaponSlots.forEach((slot, index) => {
+            const key = inventory.slots[index];
+            slot.element.classList.toggle('active', index === inventory.activeIndex);
+            if (!key) return;
+            
+            // While reloading the bar tracks the reload instead of the shot cooldown
+            const weapon = weapons[key];
+            const reloading = weapon.isReloading();
+            slot.ammo.textContent = reloading ? 'Reloading' : weapon.getAmmoDisplay();
+            slot.element.classList.toggle('reloading', reloading);
+            const progress = reloading ? weapon.getReloadProgress() : weapon.getCooldownProgress();
+            slot.cooldown.style.width = `${progress * 100}%`;
+        });
+    }
+    
+    // Empty click: flash the slot red (restarting the animation if it is already running)
+    flashWeaponSlot(index) {
+        const slot = this.hudElements.weaponSlots[index];
+        if (!slot) return;
+        
+        slot.element.classList.remove('dry-fire');
+        void slot.element.offsetWidth;
+        slot.element.classList.add('dry-fire');
+    }
+    
+    // One slot per inventory slot: number key, weapon icon (its name if the image is missing), ammo, cooldown
+    buildWeaponBar() {
+        const { weapons, inventory } = this.simulation;
+        this.weaponBarLayout = inventory.slots.join(',');
+        if (!this.hudElements.weaponBar) return;
+        
+        this.hudElements.weaponSlots = inventory.slots.map((key, index) => {
+            const element = document.createElement('div');
+            element.className = 'weapon-slot';
             
-            // Update ammo displays
-            const pistolAmmo = this.hudElements.pistolSlot.querySelector('div:last-child');
-            const machinegunAmmo = this.hudElements.machinegunSlot.querySelector('div:last-child');
+            const number = document.createElement('span');
+            number.className = 'weapon-key';
+            number.textContent = index + 1;
+            element.append(number);
             
-            if (pistolAmmo) {
-                pistolAmmo.textContent = '∞';
+            if (!key) {
+                element.classList.add('empty');
+                const placeholder = document.createElement('div');
+                placeholder.textContent = '—';
+                element.append(placeholder);
+                return { element, ammo: null, cooldown: null };
             }
-            if (machinegunAmmo) {
-                machinegunAmmo.textContent = this.weapons.machine_gun.getAmmoDisplay();
+            
+            const weapon = weapons[key];
+            const image = this.imageLoader.getImage(weapon.icon);
+            let icon;
+            if (image) {
+                icon = document.createElement('img');
+                icon.src = image.src;
+                icon.alt = weapon.name;
+            } else {
+                icon = document.createElement('div');
+                icon.textContent = weapon.name;
             }
-        }
+            element.title = weapon.name;
+            
+            const ammo = document.createElement('div');
+            const cooldownTrack = document.createElement('div');
+            cooldownTrack.className = 'weapon-cooldown';
+            const cooldown = document.createElement('div');
+            cooldown.className = 'weapon-cooldown-fill';
+            cooldownTrack.append(cooldown);
+            element.append(icon, ammo, cooldownTrack);
+            
+            // Switching goes through input so it is recorded with the run
+            element.addEventListener('click', () => {
+                if (!this.isReplaying) this.inputManager.pulseAction(`weaponSlot${index + 1}`);
+            });
+            return { element, ammo, cooldown };
+        });
+        this.hudElements.weaponBar.replaceChildren(...this.hudElements.weaponSlots.map(slot => slot.element));
     }
     
     updateFPS() {
@@ -631,12 +1692,27 @@ class Game {
         
         this.hudElements.toast.textContent = message;
         this.hudElements.toast.style.display = 'block';
+        this.toastTimer = duration / 1000;
+    }
+    
+    // Like toasts, the banner runs on UI time
+    updateWaveBanner(uiDeltaTime) {
+        if (!this.waveBanner) return;
         
-        setTimeout(() => {
-            if (this.hudElements.toast) {
-                this.hudElements.toast.style.display = 'none';
-            }
-        }, duration);
+        this.waveBanner.timer -= uiDeltaTime;
+        if (this.waveBanner.timer <= 0) {
+            this.waveBanner = null;
+        }
+    }
+    
+    // Toasts count down on UI time, so they still expire while the world is slowed or frozen
+    updateToast(uiDeltaTime) {
+        if (this.toastTimer <= 0) return;
+        
+        this.toastTimer -= uiDeltaTime;
+        if (this.toastTimer <= 0 && this.hudElements.toast) {
+            this.hudElements.toast.style.display = 'none';
+        }
     }
 }
 
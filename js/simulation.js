@@ -0,0 +1,652 @@
+// Constants for simulation.js
+export const ARENA_WIDTH = 1200;
+export const ARENA_HEIGHT = 800;
+export const SIMULATION_RATE = 120; // fixed simulation steps per second
+export const SIMULATION_STEP = 1 / SIMULATION_RATE; // seconds
+const BULLET_TIME_SCALE = 0.35; // world time scale right after a kill
+const BULLET_TIME_DURATION = 0.2; // seconds (real time)
+const CREATOR_TIME_SCALE_MIN = 0.125;
+const CREATOR_TIME_SCALE_MAX = 4;
+const XP_FIRST_LEVEL = 5; // XP needed to reach level 2
+const XP_LEVEL_GROWTH = 1.4; // each level needs this much more XP than the last
+const UPGRADE_CHOICES = 3;
+const PICKUP_REACH = 24; // pt beyond touching that the pickup action still reaches
+
+import { EventBus, CollisionSystem, PhysicsSystem, COLLISION_LAYERS, Utils, RNG, RNG_STREAMS, GameClock, TIME_LAYERS } from './core.js';
+import { Player, Pickup, WeaponInventory, WEAPON_REGISTRY, UPGRADE_POOL } from './gameplay.js';
+import { ENEMY_REGISTRY } from './enemies.js';
+import { WaveDirector, DEFAULT_WAVE_SET } from './waves.js';
+
+// Events the simulation emits; the browser game turns them into sound, rumble and toasts
+export const SIMULATION_EVENTS = [
+    'playerDamaged', // { hp }
+    'enemyHit', // { enemy }
+    'enemyKilled', // { enemy, killCount, score }
+    'weaponChanged', // { key, name, slot }
+    'weaponFired', // { key, sound }
+    'weaponReloading', // { key, duration }
+    'weaponEmpty', // { key, outOfAmmo }
+    'levelUp', // { level, choices }
+    'upgradePicked', // { upgrade, level }
+    'notice', // { message }
+    'waveStarted', // { wave, name, enemyCount }
+    'waveCleared', // { wave, breather }
+    'pickupCollected', // { pickup, name, message }
+    'gameOver' // { killCount, score, seed }
+];
+
+// How pickups are collected: on contact, or only with the pickup action
+export const PICKUP_MODES = ['auto', 'manual'];
+
+// Simulation: the game rules (player, enemies, projectiles, spawning, collisions, scoring).
+// Owns no canvas, audio or images, so it runs in the browser and headless under Node alike.
+export class Simulation {
+    constructor({ inputManager, eventBus = new EventBus(), width = ARENA_WIDTH, height = ARENA_HEIGHT, waveSet = DEFAULT_WAVE_SET }) {
+        this.inputManager = inputManager;
+        this.eventBus = eventBus;
+        this.bounds = { width, height };
+        this.clock = new GameClock(); // All gameplay timers read game time from here
+        this.waveDirector = new WaveDirector(waveSet, eventBus);
+        
+        // Game objects
+        this.player = null;
+        this.enemies = [];
+        this.projectiles = [];
+        this.pickups = [];
+        this.collisions = new CollisionSystem(); // Broadphase of this step's player, enemies and pickups
+        this.registerCollisionHandlers();
+        this.physics = new PhysicsSystem(this.collisions); // Knockback and overlap separation
+        this.weapons = {};
+        this.inventory = new WeaponInventory(); // Which weapons the player carries, and in which slot
+        
+        // Game state
+        this.seed = null;
+        this.frame = 0;
+        this.killCount = 0;
+        this.score = 0;
+        this.creatorMode = false;
+        this.pickupMode = 'auto';
+        this.isOver = false;
+        
+        // Progression: kills grant XP; each level-up offers upgrade cards
+        this.xp = 0;
+        this.level = 1;
+        this.pendingLevelUps = 0;
+        this.upgradeChoices = null; // Cards on offer, or null while playing
+        this.upgradeSelection = 0;
+        this.upgrades = []; // Picked upgrades, in order
+    }
+    
+    // Start a new run from `seed`; creator mode and pickup mode carry over unless given
+    reset(seed, { creatorMode = this.creatorMode, pickupMode = this.pickupMode } = {}) {
+        this.seed = seed;
+        RNG.reseed(seed);
+        
+        // Game time starts at zero for every run
+        this.clock.reset();
+        
+        // Create player at center
+        this.player = new Player(this.bounds.width / 2, this.bounds.height / 2, this.eventBus);
+        
+        // Initialize weapons
+        this.weapons = {};
+        Object.entries(WEAPON_REGISTRY).forEach(([key, WeaponType]) => {
+            this.weapons[key] = new WeaponType(this.clock);
+        });
+        this.inventory = new WeaponInventory('pistol'); // The rest drop as pickups
+        
+        // Give player the current weapon
+        this.player.setWeapon(this.weapons[this.inventory.getActiveKey()]);
+        
+        // Reset game state
+        this.enemies = [];
+        this.projectiles = [];
+        this.pickups = [];
+        this.collisions.clear();
+        this.pickupMode = pickupMode;
+        this.frame = 0;
+        this.killCount = 0;
+        this.score = 0;
+        this.waveDirector.reset();
+        this.isOver = false;
+        this.xp = 0;
+        this.level = 1;
+        this.pendingLevelUps = 0;
+        this.upgradeChoices = null;
+        this.upgradeSelection = 0;
+        this.upgrades = [];
+        
+        this.originalPistolFireRate = null;
+        this.creatorMode = creatorMode;
+        if (this.creatorMode) {
+            this.applyCreatorModeModifications();
+        }
+    }
+    
+    // Wave set for the next reset (validated; throws on bad data)
+    setWaveSet(waveSet) {
+        this.waveDirector = new WaveDirector(waveSet, this.eventBus);
+    }
+    
+    // Remember where entities were so rendering can interpolate between steps
+    savePreviousPositions() {
+        this.player?.savePreviousPosition();
+        this.enemies.forEach(enemy => enemy.savePreviousPosition());
+        this.projectiles.forEach(projectile => projectile.savePreviousPosition());
+    }
+    
+    // Advance by one step of `deltaTime` seconds, reading the already-updated input manager
+    update(deltaTime) {
+        this.frame++;
+        
+        // Advance game time; the world may be slowed or frozen while the UI keeps going
+        this.clock.tick(deltaTime);
+        
+        if (this.isOver) return;
+        
+        if (this.upgradeChoices) {
+            this.updateUpgradePick();
+        } else {
+            this.updateWorld(this.clock.getDelta(TIME_LAYERS.WORLD));
+        }
+    }
+    
+    updateWorld(deltaTime) {
+        // Handle weapon switching: cycle, or jump straight to a slot
+        if (this.inputManager.consumeAction('switchWeapon')) {
+            this.cycleWeapon(1);
+        }
+        if (this.inputManager.consumeAction('previousWeapon')) {
+            this.cycleWeapon(-1);
+        }
+        for (let slot = 0; slot < this.inventory.getSize(); slot++) {
+            if (this.inputManager.consumeAction(`weaponSlot${slot + 1}`)) {
+                this.selectWeaponSlot(slot);
+            }
+        }
+        
+        // Handle creator mode toggle
+        if (this.inputManager.consumeAction('creatorMode')) {
+            this.toggleCreatorMode();
+        }
+        
+        if (this.creatorMode) {
+            this.handleCreatorTimeControls();
+        }
+        
+        // Nothing moves while world time is frozen
+        if (deltaTime === 0) return;
+        
+        // Update player with creator mode state
+        this.player.creatorMode = this.creatorMode;
+        this.player.update(deltaTime, this.inputManager, this.bounds);
+        
+        // Handle player firing and reloading
+        const weapon = this.player.weapon;
+        if (this.inputManager.consumeAction('reload')) {
+            this.reloadWeapon();
+        }
+        if (this.inputManager.isFiring()) {
+            const mousePos = this.inputManager.getMousePosition();
+            if (this.player.fire(mousePos.x, mousePos.y, this.projectiles)) {
+                this.eventBus.emit('weaponFired', { key: this.inventory.getActiveKey(), sound: weapon.sound });
+            } else if (weapon.isMagazineEmpty()) {
+                // Pulling the trigger on an empty magazine clicks and reloads
+                if (this.inputManager.isActionPressed('fire')) {
+                    this.eventBus.emit('weaponEmpty', { key: this.inventory.getActiveKey(), outOfAmmo: weapon.isOutOfAmmo() });
+                }
+                this.reloadWeapon();
+            }
+            
+            if (weapon.isOutOfAmmo()) {
+                this.switchToLoadedWeapon();
+            }
+        } else {
+            this.player.releaseTrigger();
+        }
+        
+        // Spawn enemies
+        const spawns = this.waveDirector.update(deltaTime, {
+            player: this.player,
+            enemies: this.enemies,
+            bounds: this.bounds
+        });
+        spawns.forEach(({ type, x, y }) => this.spawnEnemy(type, x, y));
+        
+        // Update enemies; steering finds neighbours in last step's broadphase
+        this.enemies.forEach(enemy => {
+            enemy.update(deltaTime, this.player, this.bounds, this.projectiles, this.collisions);
+        });
+        
+        // Update projectiles
+        this.projectiles.forEach(projectile => {
+            projectile.update(deltaTime, this.bounds);
+        });
+        
+        // Pickups age out
+        this.pickups.forEach(pickup => pickup.update(deltaTime));
+        
+        // Handle collisions against this step's positions
+        this.collisions.clear();
+        this.collisions.insert(this.player);
+        this.enemies.forEach(enemy => this.collisions.insert(enemy));
+        this.pickups.forEach(pickup => this.collisions.insert(pickup));
+        this.handleCollisions();
+        this.handlePickups();
+        
+        // Knockback from this step's hits, then push apart whatever still overlaps
+        this.physics.step([this.player, ...this.enemies], deltaTime, this.bounds);
+        
+        // Projectiles created by others (grenade blasts) join from the next step
+        this.projectiles.forEach(projectile => {
+            if (projectile.spawns.length > 0) {
+                this.projectiles.push(...projectile.spawns);
+                projectile.spawns = [];
+            }
+        });
+        
+        // Remove dead objects
+        this.enemies = this.enemies.filter(enemy => enemy.isAlive());
+        this.projectiles = this.projectiles.filter(projectile => projectile.isAlive());
+        this.pickups = this.pickups.filter(pickup => pickup.isAlive());
+        
+        // Check game over
+        if (!this.player.isAlive()) {
+            this.isOver = true;
+            this.eventBus.emit('gameOver', { killCount: this.killCount, score: this.score, seed: this.seed });
+        }
+    }
+    
+    // Cycle through the filled inventory slots; direction 1 = next, -1 = previous
+    cycleWeapon(direction) {
+        if (this.inventory.cycle(direction)) {
+            this.equipActiveWeapon();
+        }
+    }
+    
+    selectWeaponSlot(slot) {
+        if (this.inventory.select(slot)) {
+            this.equipActiveWeapon();
+        }
+    }
+    
+    reloadWeapon() {
+        const weapon = this.player.weapon;
+        if (weapon.startReload()) {
+            this.eventBus.emit('weaponReloading', { key: this.inventory.getActiveKey(), duration: weapon.getReloadDuration() });
+        }
+    }
+    
+    // Out of ammo: move on to the next slot that can still shoot (the sidearm always can)
+    switchToLoadedWeapon() {
+        const { slots, activeIndex } = this.inventory;
+        for (let step = 1; step < slots.length; step++) {
+            const slot = (activeIndex + step) % slots.length;
+            if (slots[slot] && !this.weapons[slots[slot]].isOutOfAmmo()) {
+                this.selectWeaponSlot(slot);
+                return;
+            }
+        }
+    }
+    
+    equipActiveWeapon() {
+        const key = this.inventory.getActiveKey();
+        this.player.setWeapon(this.weapons[key]);
+        this.eventBus.emit('weaponChanged', { key, name: this.weapons[key].name, slot: this.inventory.activeIndex });
+    }
+    
+    toggleCreatorMode() {
+        this.creatorMode = !this.creatorMode;
+        
+        if (this.creatorMode) {
+            // Apply creator mode modifications
+            this.applyCreatorModeModifications();
+        } else {
+            // Revert creator mode modifications
+            this.revertCreatorModeModifications();
+        }
+    }
+    
+    applyCreatorModeModifications() {
+        // Store original pistol fire rate for restoration
+        if (!this.originalPistolFireRate) {
+            this.originalPistolFireRate = this.weapons.pistol.fireRate;
+        }
+        
+        // Set 5x faster pistol fire rate
+        this.weapons.pistol.fireRate = this.originalPistolFireRate / 5;
+    }
+    
+    revertCreatorModeModifications() {
+        // Restore original pistol fire rate
+        if (this.originalPistolFireRate) {
+            this.weapons.pistol.fireRate = this.originalPistolFireRate;
+        }
+        
+        // Back to normal time
+        this.clock.setLayerScale(TIME_LAYERS.WORLD, 1);
+        this.clock.resume('creator');
+    }
+    
+    // Creator mode: slow down / speed up / freeze the world and step it frame by frame
+    handleCreatorTimeControls() {
+        if (this.inputManager.consumeAction('timeSlower')) {
+            const scale = this.clock.getLayerScale(TIME_LAYERS.WORLD) / 2;
+            this.clock.setLayerScale(TIME_LAYERS.WORLD, Math.max(CREATOR_TIME_SCALE_MIN, scale));
+            this.notify(`Time scale ${this.clock.getLayerScale(TIME_LAYERS.WORLD)}x`);
+        }
+        if (this.inputManager.consumeAction('timeFaster')) {
+            const scale = this.clock.getLayerScale(TIME_LAYERS.WORLD) * 2;
+            this.clock.setLayerScale(TIME_LAYERS.WORLD, Math.min(CREATOR_TIME_SCALE_MAX, scale));
+            this.notify(`Time scale ${this.clock.getLayerScale(TIME_LAYERS.WORLD)}x`);
+        }
+        if (this.inputManager.consumeAction('timeFreeze')) {
+            if (this.clock.isPaused('creator')) {
+                this.clock.resume('creator');
+                this.notify('Time resumed');
+            } else {
+                this.clock.pause('creator');
+                this.notify('Time frozen (step with .)');
+            }
+        }
+        if (this.inputManager.consumeAction('timeStep')) {
+            this.clock.step();
+        }
+    }
+    
+    getXpForNextLevel() {
+        return Math.round(XP_FIRST_LEVEL * Math.pow(XP_LEVEL_GROWTH, this.level - 1));
+    }
+    
+    addXp(amount) {
+        this.xp += amount;
+        while (this.xp >= this.getXpForNextLevel()) {
+            this.xp -= this.getXpForNextLevel();
+            this.level++;
+            this.pendingLevelUps++;
+        }
+        
+        if (this.pendingLevelUps > 0 && !this.upgradeChoices) {
+            this.offerUpgrades();
+        }
+    }
+    
+    // Freeze the world and put random upgrade cards on offer
+    offerUpgrades() {
+        this.upgradeChoices = this.rollUpgradeChoices();
+        this.upgradeSelection = 0;
+        this.clock.pause('upgrade');
+        this.eventBus.emit('levelUp', { level: this.level - this.pendingLevelUps + 1, choices: this.upgradeChoices });
+    }
+    
+    // Weighted draw without repeats, skipping upgrades that reached maxStacks
+    rollUpgradeChoices() {
+        const random = RNG.stream(RNG_STREAMS.UPGRADES);
+        const available = UPGRADE_POOL.filter(upgrade =>
+            upgrade.maxStacks === undefined || this.countUpgrade(upgrade.id) < upgrade.maxStacks
+        );
+        
+        const choices = [];
+        while (choices.length < UPGRADE_CHOICES && available.length > 0) {
+            const totalWeight = available.reduce((sum, upgrade) => sum + (upgrade.weight ?? 1), 0);
+            let roll = random.range(0, totalWeight);
+            const index = available.findIndex(upgrade => (roll -= upgrade.weight ?? 1) < 0);
+            choices.push(available.splice(index === -1 ? available.length - 1 : index, 1)[0]);
+        }
+        return choices;
+    }
+    
+    countUpgrade(id) {
+        return this.upgrades.filter(upgrade => upgrade.id === id).length;
+    }
+    
+    // Card choice comes from input actions, so replays pick the same cards
+    updateUpgradePick() {
+        const count = this.upgradeChoices.length;
+        if (this.inputManager.consumeAction('left')) {
+            this.upgradeSelection = (this.upgradeSelection + count - 1) % count;
+        }
+        if (this.inputManager.consumeAction('right')) {
+            this.upgradeSelection = (this.upgradeSelection + 1) % count;
+        }
+        
+        let picked = this.inputManager.consumeAction('menuConfirm') ? this.upgradeSelection : -1;
+        for (let i = 0; i < count; i++) {
+            if (this.inputManager.consumeAction(`pickUpgrade${i + 1}`)) picked = i;
+        }
+        
+        if (picked >= 0) {
+            this.pickUpgrade(picked);
+        }
+    }
+    
+    pickUpgrade(index) {
+        const upgrade = this.upgradeChoices?.[index];
+        if (!upgrade) return;
+        
+        upgrade.modifiers.forEach(modifier => this.player.addModifier(modifier));
+        this.upgrades.push(upgrade);
+        this.pendingLevelUps--;
+        this.upgradeChoices = null;
+        this.eventBus.emit('upgradePicked', { upgrade, level: this.level - this.pendingLevelUps });
+        
+        // Several level-ups at once offer one set of cards after another
+        if (this.pendingLevelUps > 0) {
+            this.offerUpgrades();
+        } else {
+            this.clock.resume('upgrade');
+        }
+    }
+    
+    notify(message) {
+        this.eventBus.emit('notice', { message });
+    }
+    
+    // Auto-aim target: the closest enemy that is not already dying
+    findNearestEnemy(x, y) {
+        return this.collisions.nearest(x, y, Infinity, entity => (
+            entity.layer === COLLISION_LAYERS.enemy && entity.isAlive() && !entity.isDying
+        ));
+    }
+    
+    spawnEnemy(type, x, y) {
+        const EnemyClass = ENEMY_REGISTRY[type];
+        if (EnemyClass) {
+            const enemy = new EnemyClass(x, y);
+            this.enemies.push(enemy);
+        }
+    }
+    
+    // Contact rules for each pair of collision layers (which pairs meet is COLLISION_MATRIX)
+    registerCollisionHandlers() {
+        this.collisions.onCollision('player', 'enemy', (player, enemy) => {
+            if (player.canTakeDamage()) {
+                player.takeDamage(enemy.damage);
+            }
+        });
+        
+        this.collisions.onCollision('playerProjectile', 'enemy', (projectile, enemy) => {
+            const prevHp = enemy.hp;
+            const wasDying = enemy.isDying;
+            enemy.takeDamage(projectile.getDamage(enemy));
+            const impulse = projectile.getKnockback(enemy);
+            enemy.applyImpulse(impulse.x, impulse.y);
+            projectile.registerHit(enemy);
+            
+            // Hurt but not killed
+            if (prevHp > enemy.hp && !enemy.isDying) {
+                this.eventBus.emit('enemyHit', { enemy });
+            }
+            
+            // Enemies play a death animation before they stop being alive
+            if (!wasDying && enemy.isDying) {
+                this.killCount++;
+                this.score += enemy.score;
+                this.clock.slowMotion(BULLET_TIME_SCALE, BULLET_TIME_DURATION, TIME_LAYERS.WORLD);
+                this.eventBus.emit('enemyKilled', { enemy, killCount: this.killCount, score: this.score });
+                this.addXp(enemy.xp);
+                this.dropLoot(enemy);
+            }
+        });
+        
+        this.collisions.onCollision('enemyProjectile', 'player', (projectile, player) => {
+            if (player.canTakeDamage()) {
+                player.takeDamage(projectile.damage);
+                projectile.alive = false;
+            }
+        });
+        
+        // Manual mode leaves pickups to handlePickups()
+        this.collisions.onCollision('player', 'pickup', (player, pickup) => {
+            if (this.pickupMode === 'auto') {
+                this.collectPickup(pickup);
+            }
+        });
+    }
+    
+    handleCollisions() {
+        // Whatever the player is touching
+        this.collisions.queryCircle(this.player.x, this.player.y, this.player.radius).forEach(entity => {
+            if (entity !== this.player && entity.isAlive()) {
+                this.collisions.resolve(this.player, entity);
+            }
+        });
+        
+        // Projectiles, in the order each shot reached its targets this step: a plain bullet
+        // stops at the first, a piercing one carries on
+        this.projectiles.forEach(projectile => {
+            for (const { entity, time } of projectile.findHits(this.collisions)) {
+                if (!projectile.isAlive()) break;
+                if (projectile.hitTargets.has(entity) || !CollisionSystem.canCollide(projectile, entity)) continue;
+                this.collisions.resolve(projectile, entity, time);
+            }
+        });
+    }
+    
+    // Roll the enemy's loot table; drops land where it died
+    dropLoot(enemy) {
+        const loot = enemy.definition.loot;
+        if (!loot) return;
+        
+        const random = RNG.stream(RNG_STREAMS.LOOT);
+        if (!random.chance(loot.chance)) return;
+        
+        const totalWeight = loot.drops.reduce((sum, drop) => sum + drop.weight, 0);
+        let roll = random.range(0, totalWeight);
+        const drop = loot.drops.find(candidate => (roll -= candidate.weight) < 0) || loot.drops[loot.drops.length - 1];
+        this.pickups.push(new Pickup(enemy.x, enemy.y, drop.pickup));
+    }
+    
+    // Auto mode collects on contact; manual mode collects the nearest pickup in reach on the pickup action
+    handlePickups() {
+        if (this.pickupMode === 'auto') return;
+        
+        let nearest = null;
+        let nearestDistance = Infinity;
+        this.pickups.forEach(pickup => {
+            const distance = Utils.distance(this.player.x, this.player.y, pickup.x, pickup.y);
+            pickup.inReach = distance <= this.player.radius + pickup.radius + PICKUP_REACH;
+            if (pickup.inReach && distance < nearestDistance) {
+                nearest = pickup;
+                nearestDistance = distance;
+            }
+        });
+        
+        if (this.inputManager.consumeAction('pickup') && nearest) {
+            this.collectPickup(nearest);
+        }
+    }
+    
+    collectPickup(pickup) {
+        const { name, effect } = pickup.definition;
+        let message = name;
+        
+        switch (effect) {
+            case 'heal':
+                this.player.heal(pickup.definition.amount);
+                message = `${name}: +${pickup.definition.amount} HP`;
+                break;
+            case 'ammo':
+                this.inventory.getKeys().forEach(key => this.weapons[key].refill());
+                message = `${name}: ammo refilled`;
+                break;
+            case 'powerUp':
+                this.player.addPowerUp(pickup.type, pickup.definition.modifiers, pickup.definition.duration);
+                message = `${name} for ${pickup.definition.duration}s`;
+                break;
+            case 'weapon': {
+                const key = pickup.definition.weapon;
+                if (this.inventory.has(key)) {
+                    // A weapon you already have doubles as its ammo
+                    this.weapons[key].refill();
+                    message = `${name}: ammo refilled`;
+                } else {
+                    const { slot, replaced } = this.inventory.add(key);
+                    this.weapons[key].refill();
+                    this.inventory.select(slot);
+                    this.equipActiveWeapon();
+                    message = replaced
+                        ? `Swapped the ${this.weapons[replaced].name} for the ${name}`
+                        : `Picked up the ${name}`;
+                }
+                break;
+            }
+        }
+        
+        pickup.alive = false;
+        this.eventBus.emit('pickupCollected', { pickup: pickup.type, name, message });
+    }
+    
+    // Plain-data view of the world, e.g. for headless runs and regression checks
+    getSnapshot() {
+        const entityPosition = (entity) => ({ x: entity.x, y: entity.y });
+        
+        return {
+            frame: this.frame,
+            time: this.clock.now(TIME_LAYERS.WORLD),
+            seed: this.seed,
+            isOver: this.isOver,
+            killCount: this.killCount,
+            score: this.score,
+            xp: this.xp,
+            xpForNextLevel: this.getXpForNextLevel(),
+            level: this.level,
+            upgradeChoices: this.upgradeChoices ? this.upgradeChoices.map(upgrade => upgrade.id) : null,
+            upgrades: this.upgrades.map(upgrade => upgrade.id),
+            weapon: this.inventory.getActiveKey(),
+            ammo: {
+                magazine: this.player.weapon.currentAmmo,
+                reserve: this.player.weapon.reserveAmmo,
+                reloading: this.player.weapon.isReloading()
+            },
+            inventory: [...this.inventory.slots],
+            wave: {
+                number: this.waveDirector.getWaveNumber(),
+                breather: this.waveDirector.isBreather(),
+                alive: this.enemies.filter(enemy => !enemy.isDying).length
+            },
+            player: {
+                ...entityPosition(this.player),
+                hp: this.player.hp,
+                maxHp: this.player.maxHp,
+                invulnerable: !this.player.canTakeDamage(),
+                alive: this.player.isAlive()
+            },
+            enemies: this.enemies.map(enemy => ({
+                type: enemy.type,
+                ...entityPosition(enemy),
+                hp: enemy.hp,
+                dying: enemy.isDying
+            })),
+            projectiles: this.projectiles.map(projectile => ({
+                layer: CollisionSystem.getLayerName(projectile.layer),
+                ...entityPosition(projectile)
+            })),
+            pickups: this.pickups.map(pickup => ({
+                type: pickup.type,
+                ...entityPosition(pickup),
+                age: pickup.age
+            }))
+        };
+    }
+}
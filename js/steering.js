@@ -0,0 +1,175 @@
+// Constants for steering.js
+const STEERING_RESPONSE = 6; // 1/s, how quickly velocity turns toward the blended direction
+const ORBIT_RANGE_TOLERANCE = 0.25; // fraction of the orbit distance over which range is corrected
+
+import { Utils, COLLISION_LAYERS, RNG, RNG_STREAMS } from './core.js';
+
+// Steering behaviours. Each returns a desired direction (length 0..1) for `agent`, from:
+//   agent      the enemy: x, y, vx, vy, radius, plus its Steering as agent.steering
+//   context    { target (the player), neighbours (nearby enemies), deltaTime }
+//   params     the behaviour's entry in the blend, e.g. { weight, radius }
+// `params` lists the numeric fields a blend entry needs besides its weight.
+export const STEERING_BEHAVIORS = {
+    // Straight at the target
+    seek: {
+        params: [],
+        steer(agent, { target }) {
+            return Utils.normalize(target.x - agent.x, target.y - agent.y);
+        }
+    },
+    
+    // Straight away from the target while it is within `radius` (pt)
+    flee: {
+        params: ['radius'],
+        steer(agent, { target }, { radius }) {
+            const distance = Utils.distance(agent.x, agent.y, target.x, target.y);
+            if (distance >= radius) return { x: 0, y: 0 };
+            return Utils.normalize(agent.x - target.x, agent.y - target.y);
+        }
+    },
+    
+    // Seek that eases off inside `slowRadius` (pt) so the agent settles instead of overshooting
+    arrive: {
+        params: ['slowRadius'],
+        steer(agent, { target }, { slowRadius }) {
+            const distance = Utils.distance(agent.x, agent.y, target.x, target.y);
+            const direction = Utils.normalize(target.x - agent.x, target.y - agent.y);
+            const scale = slowRadius > 0 ? Math.min(1, distance / slowRadius) : 1;
+            return { x: direction.x * scale, y: direction.y * scale };
+        }
+    },
+    
+    // Away from neighbours closer than `radius` (pt) between edges, harder the closer they are
+    separation: {
+        params: ['radius'],
+        steer(agent, { neighbours }, { radius }) {
+            let x = 0;
+            let y = 0;
+            neighbours.forEach(other => {
+                const distance = Utils.distance(agent.x, agent.y, other.x, other.y);
+                const gap = distance - agent.radius - other.radius;
+                if (gap >= radius) return;
+                
+                // Coincident agents split along their velocities instead of not at all
+                const away = distance > 0
+                    ? { x: (agent.x - other.x) / distance, y: (agent.y - other.y) / distance }
+                    : Utils.normalize(agent.vx - other.vx, agent.vy - other.vy);
+                const strength = 1 - Math.max(0, gap) / radius;
+                x += away.x * strength;
+                y += away.y * strength;
+            });
+            return limit(x, y);
+        }
+    },
+    
+    // Toward the centre of the neighbours within `radius` (pt)
+    cohesion: {
+        params: ['radius'],
+        steer(agent, { neighbours }, { radius }) {
+            let count = 0;
+            let centerX = 0;
+            let centerY = 0;
+            neighbours.forEach(other => {
+                if (Utils.distance(agent.x, agent.y, other.x, other.y) >= radius) return;
+                centerX += other.x;
+                centerY += other.y;
+                count++;
+            });
+            if (count === 0) return { x: 0, y: 0 };
+            return Utils.normalize(centerX / count - agent.x, centerY / count - agent.y);
+        }
+    },
+    
+    // Circle the target at `distance` (pt) on the agent's own side: sideways while in range,
+    // in or out when not. A distance of 0 spirals in, which makes a flanking approach.
+    orbit: {
+        params: ['distance'],
+        steer(agent, { target }, { distance }) {
+            const dx = agent.x - target.x;
+            const dy = agent.y - target.y;
+            const current = Math.sqrt(dx * dx + dy * dy);
+            if (current === 0) return { x: 0, y: 0 };
+            
+            const outX = dx / current;
+            const outY = dy / current;
+            const tolerance = Math.max(distance * ORBIT_RANGE_TOLERANCE, agent.radius);
+            const correction = Utils.clamp((distance - current) / tolerance, -1, 1);
+            const side = agent.steering.side;
+            return limit(
+                -outY * side + outX * correction,
+                outX * side + outY * correction
+            );
+        }
+    },
+    
+    // Meandering: a heading that drifts by up to `rate` (radians/s) either way
+    wander: {
+        params: ['rate'],
+        steer(agent, { deltaTime }, { rate }) {
+            const steering = agent.steering;
+            steering.wanderAngle += steering.random.range(-rate, rate) * deltaTime;
+            return { x: Math.cos(steering.wanderAngle), y: Math.sin(steering.wanderAngle) };
+        }
+    }
+};
+
+// Used when a definition declares no blend
+export const DEFAULT_STEERING = { seek: { weight: 1 } };
+
+// Scale (x, y) down to length 1 at most
+function limit(x, y) {
+    const length = Math.sqrt(x * x + y * y);
+    return length > 1 ? { x: x / length, y: y / length } : { x, y };
+}
+
+// One agent's weighted blend of behaviours, e.g.
+//   { seek: { weight: 1 }, separation: { weight: 1.5, radius: 40 } }
+// Per-agent state (orbit side, wander heading) is rolled on the AI stream at creation,
+// so agents of one type still spread out and a seed replays the same way.
+export class Steering {
+    constructor(blend = DEFAULT_STEERING) {
+        this.blend = Object.entries(blend);
+        this.random = RNG.stream(RNG_STREAMS.AI);
+        this.side = this.random.chance(0.5) ? 1 : -1; // Orbit direction: 1 = clockwise on screen
+        this.wanderAngle = this.random.range(0, Math.PI * 2);
+    }
+    
+    // Enemies near `agent` (within `radius` pt) from the broadphase, excluding itself and corpses
+    static findNeighbours(agent, collisions, radius) {
+        if (!collisions) return [];
+        return collisions.queryCircle(agent.x, agent.y, agent.radius + radius).filter(other => (
+            other !== agent && other.layer === COLLISION_LAYERS.enemy && other.isAlive() && !other.isDying
+        ));
+    }
+    
+    // Largest neighbour radius any behaviour in the blend looks at
+    getNeighbourRadius() {
+        return this.blend.reduce((radius, [name, params]) => (
+            name === 'separation' || name === 'cohesion' ? Math.max(radius, params.radius) : radius
+        ), 0);
+    }
+    
+    // Update agent.vx/vy toward the blended direction at `speed` (pt/s)
+    steer(agent, target, collisions, speed, deltaTime) {
+        const neighbourRadius = this.getNeighbourRadius();
+        const context = {
+            target,
+            neighbours: neighbourRadius > 0 ? Steering.findNeighbours(agent, collisions, neighbourRadius) : [],
+            deltaTime
+        };
+        
+        let x = 0;
+        let y = 0;
+        this.blend.forEach(([name, params]) => {
+            const direction = STEERING_BEHAVIORS[name].steer(agent, context, params);
+            x += direction.x * params.weight;
+            y += direction.y * params.weight;
+        });
+        
+        // Turn smoothly rather than snapping to the new heading
+        const desired = limit(x, y);
+        const response = Math.min(1, STEERING_RESPONSE * deltaTime);
+        agent.vx += (desired.x * speed - agent.vx) * response;
+        agent.vy += (desired.y * speed - agent.vy) * response;
+    }
+}
@@ -0,0 +1,263 @@
+// Constants for waves.js
+const SPAWN_MARGIN = 50; // pt outside the arena edge
+const SPAWN_SAFETY_DISTANCE = 150; // pt
+const RING_RADIUS = 380; // pt around the player
+const FIRST_WAVE_DELAY = 1.5; // seconds
+const GENERATED_GROUP_DELAY = 2.0; // seconds between groups of a generated wave
+const MAX_GENERATED_GROUPS = 3;
+
+import { Utils, RNG, RNG_STREAMS } from './core.js';
+import { ENEMY_REGISTRY } from './enemies.js';
+
+export const FORMATIONS = ['random', 'ring', 'line', 'flank'];
+
+// Built-in wave set. Designers can author others as JSON in the same shape:
+//   breather     seconds of calm after a wave is cleared
+//   maxDuration  seconds after the last spawn before the next wave starts anyway
+//   waves        authored waves: groups of { enemy, count, formation, delay (s from wave start) }
+//   generated    waves after the authored ones: an enemy budget of base + perMinute * minutes
+//                played, spent on `mix` (weights) at `costs` per enemy
+export const DEFAULT_WAVE_SET = {
+    name: 'Classic',
+    breather: 4,
+    maxDuration: 45,
+    waves: [
+        { name: 'First Contact', groups: [
+            { enemy: 'assassin', count: 3, formation: 'random', delay: 0 },
+            { enemy: 'assassin', count: 2, formation: 'random', delay: 3 }
+        ] },
+        { name: 'Crossfire', groups: [
+            { enemy: 'assassin', count: 4, formation: 'flank', delay: 0 },
+            { enemy: 'shooter', count: 2, formation: 'line', delay: 2 }
+        ] },
+        { name: 'Heavy Metal', groups: [
+            { enemy: 'tank', count: 2, formation: 'line', delay: 0 },
+            { enemy: 'assassin', count: 5, formation: 'ring', delay: 3 }
+        ] },
+        { name: 'Surrounded', groups: [
+            { enemy: 'assassin', count: 8, formation: 'ring', delay: 0 },
+            { enemy: 'shooter', count: 3, formation: 'flank', delay: 4 },
+            { enemy: 'tank', count: 1, formation: 'random', delay: 6 }
+        ] }
+    ],
+    generated: {
+        budget: { base: 12, perMinute: 6 },
+        costs: { assassin: 1, shooter: 2, tank: 3 },
+        mix: { assassin: 4, shooter: 2, tank: 1 }
+    }
+};
+
+// Spawn director: runs waves from a wave set, with breathers in between.
+// update() returns the enemies to spawn this step as { type, x, y }.
+export class WaveDirector {
+    constructor(waveSet = DEFAULT_WAVE_SET, eventBus = null) {
+        this.waveSet = WaveDirector.parse(waveSet);
+        this.eventBus = eventBus;
+        this.reset();
+    }
+    
+    // Validate a wave set (object or JSON string); throws with a readable message
+    static parse(data) {
+        const waveSet = typeof data === 'string' ? JSON.parse(data) : data;
+        const fail = (message) => { throw new Error(`Invalid wave set: ${message}`); };
+        const checkEnemy = (enemy, where) => {
+            if (!ENEMY_REGISTRY[enemy]) fail(`${where}: unknown enemy "${enemy}"`);
+        };
+        
+        if (!waveSet || typeof waveSet !== 'object') fail('not an object');
+        if (!Array.isArray(waveSet.waves)) fail('"waves" must be an array');
+        if (waveSet.waves.length === 0 && !waveSet.generated) fail('needs "waves" or "generated"');
+        
+        waveSet.waves.forEach((wave, waveIndex) => {
+            if (!Array.isArray(wave.groups) || wave.groups.length === 0) {
+                fail(`wave ${waveIndex + 1} needs a non-empty "groups" array`);
+            }
+            wave.groups.forEach((group, groupIndex) => {
+                const where = `wave ${waveIndex + 1} group ${groupIndex + 1}`;
+                checkEnemy(group.enemy, where);
+                if (!Number.isInteger(group.count) || group.count < 1) fail(`${where}: "count" must be a positive integer`);
+                if (group.formation !== undefined && !FORMATIONS.includes(group.formation)) {
+                    fail(`${where}: formation must be one of ${FORMATIONS.join(', ')}`);
+                }
+                if (group.delay !== undefined && !(group.delay >= 0)) fail(`${where}: "delay" must be >= 0`);
+            });
+        });
+        
+        if (waveSet.generated) {
+            const { budget, costs, mix } = waveSet.generated;
+            if (!budget || !(budget.base > 0) || !(budget.perMinute >= 0)) {
+                fail('generated.budget needs "base" > 0 and "perMinute" >= 0');
+            }
+            if (!mix || Object.keys(mix).length === 0) fail('generated.mix must list at least one enemy');
+            Object.keys(mix).forEach(enemy => {
+                checkEnemy(enemy, 'generated.mix');
+                if (!(costs?.[enemy] > 0)) fail(`generated.costs: "${enemy}" needs a cost > 0`);
+            });
+        }
+        
+        return waveSet;
+    }
+    
+    reset() {
+        this.time = 0; // Game time played, drives the generated budget
+        this.waveNumber = 0;
+        this.waveName = '';
+        this.phase = 'breather'; // 'breather' | 'active'
+        this.timer = FIRST_WAVE_DELAY; // Breather time left
+        this.waveTime = 0;
+        this.lastSpawnTime = 0;
+        this.queue = []; // Groups of the active wave still to spawn
+    }
+    
+    getWaveNumber() {
+        return this.waveNumber;
+    }
+    
+    isBreather() {
+        return this.phase === 'breather';
+    }
+    
+    // world: { player, enemies, bounds }
+    update(deltaTime, world) {
+        this.time += deltaTime;
+        const spawns = [];
+        
+        if (this.phase === 'breather') {
+            this.timer -= deltaTime;
+            if (this.timer <= 0) {
+                this.startWave();
+            }
+            return spawns;
+        }
+        
+        this.waveTime += deltaTime;
+        this.queue = this.queue.filter(group => {
+            if (this.waveTime < group.delay) return true;
+            spawns.push(...this.createFormation(group, world));
+            this.lastSpawnTime = this.waveTime;
+            return false;
+        });
+        
+        // A wave ends when everything spawned is dead, or it has dragged on too long
+        const alive = world.enemies.filter(enemy => !enemy.isDying).length + spawns.length;
+        const overtime = this.waveSet.maxDuration !== undefined &&
+                         this.waveTime - this.lastSpawnTime >= this.waveSet.maxDuration;
+        if (this.queue.length === 0 && (alive === 0 || overtime)) {
+            this.phase = 'breather';
+            this.timer = this.waveSet.breather ?? 0;
+            this.eventBus?.emit('waveCleared', { wave: this.waveNumber, breather: this.timer });
+        }
+        
+        return spawns;
+    }
+    
+    startWave() {
+        this.waveNumber++;
+        const wave = this.waveSet.waves[this.waveNumber - 1] || this.generateWave();
+        
+        this.phase = 'active';
+        this.waveTime = 0;
+        this.lastSpawnTime = 0;
+        this.waveName = wave.name || '';
+        this.queue = wave.groups.map(group => ({ formation: 'random', delay: 0, ...group }));
+        
+        const enemyCount = this.queue.reduce((sum, group) => sum + group.count, 0);
+        this.eventBus?.emit('waveStarted', { wave: this.waveNumber, name: this.waveName, enemyCount });
+    }
+    
+    // Spend a budget that grows with time played on a weighted enemy mix
+    generateWave() {
+        const random = RNG.stream(RNG_STREAMS.SPAWNING);
+        const { budget, costs, mix } = this.waveSet.generated || DEFAULT_WAVE_SET.generated;
+        let remaining = Math.floor(budget.base + budget.perMinute * this.time / 60);
+        
+        const counts = {};
+        const cheapest = Math.min(...Object.keys(mix).map(enemy => costs[enemy]));
+        while (remaining >= cheapest) {
+            const affordable = Object.keys(mix).filter(enemy => costs[enemy] <= remaining);
+            const totalWeight = affordable.reduce((sum, enemy) => sum + mix[enemy], 0);
+            let roll = random.range(0, totalWeight);
+            const enemy = affordable.find(candidate => (roll -= mix[candidate]) < 0) || affordable[affordable.length - 1];
+            counts[enemy] = (counts[enemy] || 0) + 1;
+            remaining -= costs[enemy];
+        }
+        
+        // Bigger waves arrive in more groups, each in its own formation
+        const groups = [];
+        Object.entries(counts).forEach(([enemy, count]) => {
+            const parts = Math.min(count, MAX_GENERATED_GROUPS, 1 + Math.floor(count / 6));
+            for (let i = 0; i < parts; i++) {
+                groups.push({
+                    enemy,
+                    count: Math.floor(count / parts) + (i < count % parts ? 1 : 0),
+                    formation: random.pick(FORMATIONS)
+                });
+            }
+        });
+        groups.forEach((group, index) => {
+            group.delay = index * GENERATED_GROUP_DELAY;
+        });
+        
+        return { name: '', groups };
+    }
+    
+    // Spawn points for a group, kept clear of the player
+    createFormation(group, { player, bounds }) {
+        const random = RNG.stream(RNG_STREAMS.SPAWNING);
+        const { width, height } = bounds;
+        let points = [];
+        
+        switch (group.formation) {
+            case 'ring': {
+                const start = random.range(0, Math.PI * 2);
+                for (let i = 0; i < group.count; i++) {
+                    const angle = start + i * Math.PI * 2 / group.count;
+                    points.push({
+                        x: player.x + Math.cos(angle) * RING_RADIUS,
+                        y: player.y + Math.sin(angle) * RING_RADIUS
+                    });
+                }
+                break;
+            }
+            case 'line': {
+                const edge = random.int(0, 3);
+                for (let i = 0; i < group.count; i++) {
+                    points.push(this.edgePoint(edge, (i + 1) / (group.count + 1), bounds));
+                }
+                break;
+            }
+            case 'flank': {
+                // Both sides of one axis at once
+                const edges = random.chance(0.5) ? [1, 3] : [0, 2];
+                for (let i = 0; i < group.count; i++) {
+                    points.push(this.edgePoint(edges[i % 2], random.range(0.15, 0.85), bounds));
+                }
+                break;
+            }
+            default:
+                for (let i = 0; i < group.count; i++) {
+                    points.push(this.edgePoint(random.int(0, 3), random.range(0, 1), bounds));
+                }
+        }
+        
+        // Too close to the player: mirror through the arena centre
+        points = points.map(point => (
+            Utils.distance(point.x, point.y, player.x, player.y) < SPAWN_SAFETY_DISTANCE
+                ? { x: width - point.x, y: height - point.y }
+                : point
+        ));
+        
+        return points.map(point => ({ type: group.enemy, ...point }));
+    }
+    
+    // Point just outside an edge (0=top, 1=right, 2=bottom, 3=left); t runs along the edge
+    edgePoint(edge, t, { width, height }) {
+        const along = (length) => SPAWN_MARGIN + t * (length - SPAWN_MARGIN * 2);
+        switch (edge) {
+            case 0: return { x: along(width), y: -SPAWN_MARGIN };
+            case 1: return { x: width + SPAWN_MARGIN, y: along(height) };
+            case 2: return { x: along(width), y: height + SPAWN_MARGIN };
+            default: return { x: -SPAWN_MARGIN, y: along(height) };
+        }
+    }
+}
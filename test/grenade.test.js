@@ -0,0 +1,33 @@
+// Grenade regressions, run through the full headless simulation with Node's test runner
+// (20 needs --experimental-default-type=module; 22+ detects ES modules):
+//
+//   node --experimental-default-type=module --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Utils } from '../js/core.js';
+import { Explosion } from '../js/gameplay.js';
+import { HeadlessSimulation } from '../js/headless.js';
+
+// The broadphase also holds the player and pickups; only enemies may set a shell off
+test('a grenade flies clear of the player and bursts on the enemy it reaches', () => {
+    const headless = new HeadlessSimulation({ seed: 'grenade' });
+    const { simulation } = headless;
+    const { slot } = simulation.inventory.add('grenade_launcher');
+    simulation.selectWeaponSlot(slot);
+    
+    const muzzle = { x: simulation.player.x, y: simulation.player.y };
+    simulation.spawnEnemy('tank', muzzle.x + 300, muzzle.y);
+    const [tank] = simulation.enemies;
+    
+    // One shot, then wait for the blast (the first wave is still a while off)
+    headless.step({ aim: { x: tank.x, y: tank.y }, actions: ['fire'] });
+    headless.step({ aim: { x: tank.x, y: tank.y }, actions: [] });
+    headless.runUntil(() => simulation.projectiles.some(projectile => projectile instanceof Explosion), 120);
+    
+    const blast = simulation.projectiles.find(projectile => projectile instanceof Explosion);
+    assert.ok(blast, 'the grenade never detonated');
+    assert.ok(Utils.distance(blast.x, blast.y, muzzle.x, muzzle.y) > 200, 'the grenade detonated at the muzzle');
+    assert.ok(Utils.distance(blast.x, blast.y, tank.x, tank.y) <= tank.radius * 1.5, 'the grenade detonated away from the tank');
+});
@@ -0,0 +1,33 @@
+// Arena bounds for spawned enemies, run through the full headless simulation with Node's
+// test runner (20 needs --experimental-default-type=module; 22+ detects ES modules):
+//
+//   node --experimental-default-type=module --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HeadlessSimulation } from '../js/headless.js';
+
+const LEFT_EDGE = 3; // see WaveDirector.edgePoint
+
+// Wave spawns start outside the arena; they must not be snapped inside on their first step
+test('an enemy spawned at an edge walks in and is only confined once fully inside', () => {
+    const headless = new HeadlessSimulation({ seed: 'spawn' });
+    const { simulation } = headless;
+    const spawn = simulation.waveDirector.edgePoint(LEFT_EDGE, 0.5, simulation.bounds);
+    simulation.spawnEnemy('assassin', spawn.x, spawn.y);
+    const [enemy] = simulation.enemies;
+    
+    headless.step({ actions: [] });
+    assert.ok(enemy.x < 0, `moved to x = ${enemy.x} in one step`);
+    assert.equal(enemy.confined, false);
+    
+    headless.runUntil(() => enemy.confined, 120);
+    assert.equal(enemy.confined, true, 'never got fully inside');
+    assert.ok(enemy.x >= enemy.radius);
+    
+    // From now on knockback cannot carry it back out
+    enemy.applyImpulse(-5000, 0);
+    headless.run(30);
+    assert.ok(enemy.x >= enemy.radius, `pushed out to x = ${enemy.x}`);
+});